@@ -4,6 +4,7 @@ const playerOne = new AudioPlayer("#player-one", {
   volume: 70,
   playbackRate: 1,
   theme: "auto",
+  exclusive: true,
 });
 playerOne.load("./audio/file_example_MP3.mp3", {
   title: "",
@@ -15,6 +16,7 @@ const playerTwo = new AudioPlayer("#player-two", {
   playbackRate: 1.2,
   theme: "dark",
   allowDownload: false,
+  exclusive: true,
   events: {
     ratechange: (payload) => console.log("ratechange:", payload),
     volumechange: (payload) => console.log("volumechange:", payload),
@@ -0,0 +1,4347 @@
+export const DEFAULT_OPTIONS = {
+  src: "",
+  volume: 100, // 0..100 (up to volumeMax with webAudio)
+  muted: false,
+  playbackRate: 1,
+  playbackRateMin: 0.2,
+  playbackRateMax: 2,
+  playbackRateStep: 0.05,
+  seekStep: 10,
+  allowDownload: true,
+  showTime: true,
+  theme: "auto", // "auto" | "light" | "dark"
+  downloadFilename: null,
+  ariaLabelPrefix: "Audio player",
+  shuffle: false,
+  repeat: "off", // "off" | "one" | "all"
+  waveform: false,
+  loopControls: false, // show A/B loop buttons
+  showCaptions: true,
+  transcript: false, // show the synced transcript panel
+  keyboard: true,
+  keyboardScope: "player", // "player" | "page"
+  keymap: null, // { action: key | key[] } overrides for DEFAULT_KEYMAP
+  locale: "en",
+  messages: null, // { key: template } overrides for the active locale
+  persist: false, // remember position per src and volume/muted/rate
+  persistKey: "audio-player",
+  storage: "local", // "local" | "memory" | { getItem, setItem, removeItem }
+  resumePrompt: false,
+  completionThreshold: 0.95, // 0..1, saved position is cleared past this
+  webAudio: false, // route audio through a Web Audio effects graph
+  volumeMax: 100, // 100..400, values above 100 need webAudio
+  equalizer: "flat", // EQ_PRESETS key or one gain (dB) per EQ_BANDS entry
+  nightMode: false, // dynamics compressor
+  crossOrigin: null, // "anonymous" | "use-credentials" for CORS sources
+  fadeIn: 0, // ms
+  fadeOut: 0, // ms
+  fadeCurve: "linear", // "linear" | "exponential" | "equalPower"
+  crossfade: 0, // ms, used when load() replaces a playing source
+  exclusive: false, // pause other exclusive players of the group on play
+  exclusiveGroup: "default",
+  broadcast: false, // with exclusive, also pause the group in other tabs
+  milestones: [25, 50, 75, 95], // % of unique coverage for progressmilestone
+  analyticsReporter: null, // (summaries) => void | { report(summaries) }
+  analyticsBatchSize: 10, // summaries queued before the reporter is called
+  downloadMode: "link", // "link" | "fetch" (blob download with progress)
+  retryCount: 3, // network error retries per source before falling back
+  retryDelay: 1000, // ms, doubled after each retry
+  skipSilence: false, // jump over silent spans found by decoding the source
+  silenceThreshold: -50, // dBFS, -100..0; quieter windows count as silent
+  silenceMinDuration: 1, // s, shorter silences are played
+  live: "auto", // "auto" (infinite duration) | true | false
+  share: false, // show the "copy link at current time" button
+  startTimeParam: null, // query parameter (e.g. "t") holding the start time
+  bookmarks: false, // show the bookmarks panel, markers and shortcut
+  bookmarkStorage: null, // null shares `storage`; "local" | "memory" | adapter
+};
+
+export const FADE_CURVES = ["linear", "exponential", "equalPower"];
+
+export const EQ_BANDS = [60, 250, 1000, 4000, 12000];
+
+export const EQ_PRESETS = {
+  flat: [0, 0, 0, 0, 0],
+  voice: [-6, -2, 3, 4, 1],
+  bassBoost: [6, 4, 0, 0, 0],
+};
+
+// Positions earlier than this are not worth resuming from.
+const RESUME_MIN_TIME = 5;
+const POSITION_SAVE_INTERVAL = 5000;
+// Larger jumps between two timeupdates without a seek are not counted as
+// listened (e.g. the element skipped over a stalled range).
+const MAX_LISTEN_STEP = 5;
+// HTMLMediaElement.HAVE_FUTURE_DATA: enough data to keep playing.
+const HAVE_FUTURE_DATA = 3;
+// Silence analysis resolution (s), audio kept around each skipped span so
+// words are not clipped, and the shortest jump worth a seek.
+const SILENCE_WINDOW = 0.05;
+const SILENCE_PADDING = 0.1;
+const SILENCE_MIN_SKIP = 0.2;
+const SILENCE_CACHE_SIZE = 20;
+// Live playlists without DVR still expose a few segments as seekable, so
+// only a window at least this long (s) counts as DVR. Playback within
+// LIVE_EDGE_TOLERANCE of the end counts as live.
+const LIVE_MIN_DVR_WINDOW = 30;
+const LIVE_EDGE_TOLERANCE = 10;
+// Cue length (s) of each bookmark exported as WebVTT.
+const BOOKMARK_CUE_DURATION = 1;
+
+export const DEFAULT_KEYMAP = {
+  toggle: [" ", "k"],
+  seekBackward: ["j"],
+  seekForward: ["l"],
+  mute: ["m"],
+  volumeUp: ["ArrowUp"],
+  volumeDown: ["ArrowDown"],
+  rateDown: ["<"],
+  rateUp: [">"],
+  seekPercent: ["0", "1", "2", "3", "4", "5", "6", "7", "8", "9"],
+  help: ["?"],
+  bookmark: ["b"],
+};
+
+export const REPEAT_MODES = ["off", "one", "all"];
+
+export const EVENTS = [
+  "ready",
+  "play",
+  "pause",
+  "ended",
+  "timeupdate",
+  "seek",
+  "ratechange",
+  "volumechange",
+  "mutechange",
+  "optionschange",
+  "download",
+  "error",
+  "srcchange",
+  // Playlist / transport-style events (Media Session aligned)
+  "nexttrack",
+  "previoustrack",
+  "stop",
+  "trackchange",
+  "playlistchange",
+  "chapterchange",
+  "loopstart",
+  "loopend",
+  "cuechange",
+  "resume",
+  "progressmilestone",
+  "downloadprogress",
+  "downloadcomplete",
+  "buffering",
+  "bufferprogress",
+  "retry",
+  "sourcefallback",
+  "silenceskipped",
+  "livechange",
+  "share",
+  "bookmarkchange",
+  // Cancelable: handlers may call event.preventDefault()
+  "beforeplay",
+  "beforeseek",
+  "beforeload",
+  "beforedownload",
+];
+
+// MediaError.code -> name, as exposed on AudioPlayerError.codeName.
+export const MEDIA_ERROR_CODES = {
+  1: "MEDIA_ERR_ABORTED",
+  2: "MEDIA_ERR_NETWORK",
+  3: "MEDIA_ERR_DECODE",
+  4: "MEDIA_ERR_SRC_NOT_SUPPORTED",
+};
+
+export class AudioPlayerError extends Error {
+  constructor(mediaError, src) {
+    const code = mediaError?.code ?? 0;
+    const codeName = MEDIA_ERROR_CODES[code] || "MEDIA_ERR_UNKNOWN";
+    super(mediaError?.message || `${codeName}: ${src}`, { cause: mediaError });
+    this.name = "AudioPlayerError";
+    this.code = code;
+    this.codeName = codeName;
+    this.src = src;
+    this.mediaError = mediaError || null;
+  }
+}
+
+// Listens to every event; handlers receive (name, payload).
+export const WILDCARD_EVENT = "*";
+
+export const PLUGIN_HOOKS = ["init", "load", "optionsChange", "ui", "destroy"];
+
+// Plugins registered through AudioController.use() apply to every instance
+// created afterwards, before the ones passed in the `plugins` option.
+const globalPlugins = [];
+
+function normalizePlugin(plugin) {
+  if (
+    !plugin ||
+    typeof plugin !== "object" ||
+    typeof plugin.name !== "string" ||
+    !plugin.name.trim()
+  ) {
+    throw new Error("AudioController: plugin must be an object with a name.");
+  }
+  return plugin;
+}
+
+function resolvePlugins(plugins) {
+  const resolved = [...globalPlugins];
+  (Array.isArray(plugins) ? plugins : []).forEach((plugin) => {
+    normalizePlugin(plugin);
+    if (!resolved.includes(plugin)) resolved.push(plugin);
+  });
+  return resolved;
+}
+
+const MEDIA_SESSION_ACTIONS = [
+  "play",
+  "pause",
+  "seekbackward",
+  "seekforward",
+  "seekto",
+  "stop",
+  "previoustrack",
+  "nexttrack",
+];
+
+// Live controllers, least recently played first. The Media Session (OS media
+// keys and metadata) belongs to one of them at a time: the one that played
+// last, or the first one created while none has played yet.
+const liveControllers = [];
+let sessionOwner = null;
+
+function setSessionOwner(controller) {
+  if (sessionOwner === controller) return;
+  sessionOwner = controller;
+  if (controller) {
+    controller._claimMediaSession();
+    return;
+  }
+  if (typeof navigator === "undefined" || !navigator.mediaSession) return;
+  const mediaSession = navigator.mediaSession;
+  MEDIA_SESSION_ACTIONS.forEach((action) => {
+    try {
+      mediaSession.setActionHandler(action, null);
+    } catch {
+      // ignore unsupported actions
+    }
+  });
+  try {
+    mediaSession.metadata = null;
+    mediaSession.playbackState = "none";
+  } catch {
+    // ignore state errors
+  }
+}
+
+function registerController(controller) {
+  liveControllers.unshift(controller);
+  if (!sessionOwner) setSessionOwner(controller);
+}
+
+function claimPlayback(controller) {
+  const index = liveControllers.indexOf(controller);
+  if (index !== -1) liveControllers.splice(index, 1);
+  liveControllers.push(controller);
+  setSessionOwner(controller);
+
+  const { exclusive, exclusiveGroup } = controller.getOptions();
+  if (!exclusive) return;
+  liveControllers.forEach((other) => {
+    if (other !== controller) other._pauseForGroup(exclusiveGroup);
+  });
+}
+
+function releasePlayback(controller) {
+  const index = liveControllers.indexOf(controller);
+  if (index !== -1) liveControllers.splice(index, 1);
+  if (sessionOwner === controller) {
+    setSessionOwner(liveControllers[liveControllers.length - 1] || null);
+  }
+}
+
+// Parts of the state a renderer may be asked to redraw. attachRenderer()
+// sends every one of them once so a late renderer starts in sync.
+export const RENDER_CHANGES = [
+  "options",
+  "playstate",
+  "time",
+  "duration",
+  "rate",
+  "volume",
+  "meta",
+  "playlist",
+  "chapters",
+  "chapter",
+  "loop",
+  "cues",
+  "activecues",
+  "matches",
+  "waveform",
+  "resume",
+  "download",
+  "buffer",
+  "error",
+  "silence",
+  "live",
+  "bookmarks",
+  "media",
+];
+
+export function clampNumber(value, min, max) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return null;
+  return Math.min(max, Math.max(min, num));
+}
+
+function normalizeMessages(messages) {
+  if (!messages || typeof messages !== "object") return null;
+  const result = {};
+  Object.keys(messages).forEach((key) => {
+    if (typeof messages[key] === "string") result[key] = messages[key];
+  });
+  return Object.keys(result).length ? result : null;
+}
+
+// Normalized arrays and plain objects are rebuilt on every setOptions(), so
+// compare those by content; anything else (functions, adapters) by identity.
+function isSameOptionValue(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return (
+      Array.isArray(a) &&
+      Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((value, index) => isSameOptionValue(value, b[index]))
+    );
+  }
+  const plain = (value) =>
+    value !== null &&
+    typeof value === "object" &&
+    [Object.prototype, null].includes(Object.getPrototypeOf(value));
+  if (!plain(a) || !plain(b)) return false;
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every((key) => key in b && isSameOptionValue(a[key], b[key]))
+  );
+}
+
+// Number of buckets kept for decoded waveforms; drawing resamples to width.
+const WAVEFORM_RESOLUTION = 2048;
+
+// Silence levels per decoded src, shared by every player on the page.
+const silenceCache = new Map();
+
+// In-flight decodes per src, so the waveform and silence analysis of one
+// file fetch and decode it once. The fetch is aborted only once every caller
+// that passed a signal has aborted.
+const pendingDecodes = new Map();
+
+function decodeAudioSource(src, signal) {
+  if (signal?.aborted) {
+    return Promise.reject(createDOMError("Decoding aborted.", "AbortError"));
+  }
+  let entry = pendingDecodes.get(src);
+  if (!entry) {
+    const controller =
+      typeof AbortController === "function" ? new AbortController() : null;
+    entry = { controller, users: 0, promise: null };
+    const current = entry;
+    entry.promise = fetchAndDecode(
+      src,
+      controller ? controller.signal : undefined
+    ).finally(() => {
+      if (pendingDecodes.get(src) === current) pendingDecodes.delete(src);
+    });
+    pendingDecodes.set(src, entry);
+  }
+  const current = entry;
+  current.users += 1;
+  signal?.addEventListener(
+    "abort",
+    () => {
+      current.users -= 1;
+      if (current.users > 0) return;
+      if (pendingDecodes.get(src) === current) pendingDecodes.delete(src);
+      if (current.controller) current.controller.abort();
+    },
+    { once: true }
+  );
+  return current.promise;
+}
+
+function fetchAndDecode(src, signal) {
+  const OfflineContext =
+    typeof window !== "undefined"
+      ? window.OfflineAudioContext || window.webkitOfflineAudioContext
+      : undefined;
+  if (typeof OfflineContext !== "function") {
+    return Promise.reject(new Error("Web Audio is not supported."));
+  }
+
+  return fetch(src, { signal })
+    .then((response) => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.arrayBuffer();
+    })
+    .then(
+      (buffer) =>
+        new Promise((resolve, reject) => {
+          // A low sample rate is plenty for drawing and level analysis and
+          // keeps memory down.
+          const context = new OfflineContext(1, 1, 8000);
+          context.decodeAudioData(buffer, resolve, reject);
+        })
+    );
+}
+
+export function computeWaveformPeaks(audioBuffer, length = WAVEFORM_RESOLUTION) {
+  const channels = [];
+  for (let c = 0; c < audioBuffer.numberOfChannels; c += 1) {
+    channels.push(audioBuffer.getChannelData(c));
+  }
+  const total = audioBuffer.length;
+  const count = Math.max(1, Math.min(length, total));
+  const size = total / count;
+  const peaks = new Array(count).fill(0);
+  const rms = new Array(count).fill(0);
+  let max = 0;
+
+  for (let i = 0; i < count; i += 1) {
+    const start = Math.floor(i * size);
+    const end = Math.max(start + 1, Math.floor((i + 1) * size));
+    let peak = 0;
+    let sum = 0;
+    channels.forEach((data) => {
+      for (let s = start; s < end; s += 1) {
+        const value = Math.abs(data[s] || 0);
+        if (value > peak) peak = value;
+        sum += value * value;
+      }
+    });
+    peaks[i] = peak;
+    rms[i] = Math.sqrt(sum / ((end - start) * (channels.length || 1)));
+    if (peak > max) max = peak;
+  }
+
+  const scale = max || 1;
+  return {
+    peaks: peaks.map((value) => value / scale),
+    rms: rms.map((value) => value / scale),
+  };
+}
+
+// RMS level (dBFS) of every `windowSize` seconds of the buffer.
+export function computeSilenceLevels(audioBuffer, windowSize = SILENCE_WINDOW) {
+  const channels = [];
+  for (let c = 0; c < audioBuffer.numberOfChannels; c += 1) {
+    channels.push(audioBuffer.getChannelData(c));
+  }
+  const size = Math.max(1, Math.round(audioBuffer.sampleRate * windowSize));
+  const count = Math.ceil(audioBuffer.length / size);
+  const levels = new Array(count).fill(-Infinity);
+
+  for (let i = 0; i < count; i += 1) {
+    const start = i * size;
+    const end = Math.min(audioBuffer.length, start + size);
+    let sum = 0;
+    channels.forEach((data) => {
+      for (let s = start; s < end; s += 1) {
+        sum += data[s] * data[s];
+      }
+    });
+    const rms = Math.sqrt(sum / ((end - start) * (channels.length || 1)));
+    if (rms > 0) levels[i] = 20 * Math.log10(rms);
+  }
+
+  return { step: size / audioBuffer.sampleRate, levels };
+}
+
+// [start, end] spans (s) quieter than `threshold` for at least
+// `minDuration`, trimmed by SILENCE_PADDING on both sides.
+export function findSilentSpans(analysis, threshold, minDuration) {
+  const spans = [];
+  if (!analysis || !Array.isArray(analysis.levels)) return spans;
+  const { step, levels } = analysis;
+  let first = -1;
+  for (let i = 0; i <= levels.length; i += 1) {
+    if (i < levels.length && levels[i] < threshold) {
+      if (first < 0) first = i;
+      continue;
+    }
+    if (first < 0) continue;
+    const start = first * step;
+    const end = i * step;
+    first = -1;
+    if (end - start >= minDuration) {
+      spans.push([start + SILENCE_PADDING, end - SILENCE_PADDING]);
+    }
+  }
+  return spans;
+}
+
+export function normalizeWaveformPeaks(data) {
+  const source = Array.isArray(data) ? { data } : data;
+  if (!source || !Array.isArray(source.data) || !source.data.length) {
+    return null;
+  }
+  const values = source.data.map((value) => Math.abs(Number(value) || 0));
+  let peaks = values;
+
+  // audiowaveform JSON stores [min, max] pairs per channel for every pixel.
+  if ("samples_per_pixel" in source || "bits" in source) {
+    const stride = Math.max(1, Number(source.channels) || 1) * 2;
+    const length = Math.floor(values.length / stride);
+    peaks = new Array(length);
+    for (let i = 0; i < length; i += 1) {
+      let peak = 0;
+      for (let j = 0; j < stride; j += 1) {
+        peak = Math.max(peak, values[i * stride + j]);
+      }
+      peaks[i] = peak;
+    }
+  }
+
+  const max = peaks.reduce((result, value) => Math.max(result, value), 0);
+  const scale = max || 1;
+  return { peaks: peaks.map((value) => value / scale), rms: null };
+}
+
+export function normalizeChapters(chapters) {
+  if (!Array.isArray(chapters)) return [];
+  return chapters
+    .map((chapter) => {
+      if (!chapter || typeof chapter !== "object") return null;
+      const start = Number(chapter.start);
+      if (!Number.isFinite(start) || start < 0) return null;
+      const end = Number(chapter.end);
+      return {
+        ...chapter,
+        start,
+        end: Number.isFinite(end) && end > start ? end : null,
+        title: typeof chapter.title === "string" ? chapter.title.trim() : "",
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+}
+
+function parseVttTimestamp(value) {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?$/.exec(
+    value.trim()
+  );
+  if (!match) return null;
+  const [, hours = "0", minutes, seconds, fraction = "0"] = match;
+  return (
+    Number(hours) * 3600 +
+    Number(minutes) * 60 +
+    Number(seconds) +
+    Number(fraction.padEnd(3, "0")) / 1000
+  );
+}
+
+function decodeCueText(text) {
+  return text
+    .replace(/<[^>]+>/g, "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+}
+
+// Cues in file order; `id` is null when the cue has no identifier line.
+function readWebVTTCues(text) {
+  if (typeof text !== "string") return [];
+  const blocks = text
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .split(/\n{2,}/);
+  const cues = [];
+
+  blocks.forEach((block) => {
+    const lines = block.split("\n").filter((line) => line.trim() !== "");
+    const timingIndex = lines.findIndex((line) => line.includes("-->"));
+    if (timingIndex === -1 || timingIndex > 1) return;
+
+    const [startText, rest = ""] = lines[timingIndex].split("-->");
+    const start = parseVttTimestamp(startText);
+    const end = parseVttTimestamp(rest.trim().split(/\s+/)[0] || "");
+    if (start === null || end === null || end < start) return;
+
+    const payload = lines.slice(timingIndex + 1).join("\n");
+    const voice = /<v(?:\.[^\s>]+)*\s+([^>]+)>/.exec(payload);
+    cues.push({
+      id: timingIndex === 1 ? lines[0].trim() : null,
+      start,
+      end,
+      text: decodeCueText(payload).trim(),
+      speaker: voice ? voice[1].trim() : null,
+    });
+  });
+
+  return cues;
+}
+
+export function parseWebVTT(text) {
+  return readWebVTTCues(text)
+    .map((cue, index) => ({ ...cue, id: cue.id ?? String(index + 1) }))
+    .sort((a, b) => a.start - b.start);
+}
+
+function formatVttTimestamp(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+  const hours = pad(Math.floor(ms / 3600000));
+  const minutes = pad(Math.floor(ms / 60000) % 60);
+  const secs = pad(Math.floor(ms / 1000) % 60);
+  return `${hours}:${minutes}:${secs}.${pad(ms % 1000, 3)}`;
+}
+
+function encodeCueText(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\n{2,}/g, "\n");
+}
+
+let bookmarkCount = 0;
+
+function createBookmarkId() {
+  bookmarkCount += 1;
+  return `bm-${Date.now().toString(36)}-${bookmarkCount}`;
+}
+
+export function normalizeBookmarks(bookmarks) {
+  if (!Array.isArray(bookmarks)) return [];
+  return bookmarks
+    .map((bookmark) => {
+      const time = Number(bookmark?.time);
+      if (!Number.isFinite(time) || time < 0) return null;
+      return {
+        id:
+          typeof bookmark.id === "string" && bookmark.id
+            ? bookmark.id
+            : createBookmarkId(),
+        time,
+        note: typeof bookmark.note === "string" ? bookmark.note : "",
+        createdAt: Number.isFinite(bookmark.createdAt)
+          ? bookmark.createdAt
+          : Date.now(),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.time - b.time);
+}
+
+// "json" keeps ids and timestamps; "vtt" writes one cue per bookmark with
+// the id as cue identifier and the note as its text. A cue cannot hold blank
+// lines, so runs of them in a note become a single line break.
+export function serializeBookmarks(bookmarks, format = "json", src = "") {
+  if (format === "vtt") {
+    const cues = bookmarks.map((bookmark) => {
+      const start = formatVttTimestamp(bookmark.time);
+      const end = formatVttTimestamp(bookmark.time + BOOKMARK_CUE_DURATION);
+      const text = encodeCueText(bookmark.note);
+      return `${bookmark.id}\n${start} --> ${end}\n${text}`;
+    });
+    return `${["WEBVTT", ...cues].join("\n\n")}\n`;
+  }
+  return JSON.stringify({ src, bookmarks }, null, 2);
+}
+
+// Accepts serializeBookmarks() output (JSON or WebVTT) or a bookmark array.
+export function parseBookmarks(data) {
+  let source = data;
+  if (typeof source === "string") {
+    const text = source.replace(/^\uFEFF/, "").trim();
+    if (text.startsWith("WEBVTT")) {
+      return normalizeBookmarks(
+        readWebVTTCues(text).map((cue) => ({
+          id: cue.id,
+          time: cue.start,
+          note: cue.text,
+        }))
+      );
+    }
+    try {
+      source = JSON.parse(text);
+    } catch {
+      return [];
+    }
+  }
+  return normalizeBookmarks(Array.isArray(source) ? source : source?.bookmarks);
+}
+
+function normalizeSearchText(text) {
+  // Fold diacritics so "chao" matches "chào".
+  return String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/đ/g, "d")
+    .replace(/Đ/g, "D")
+    .toLowerCase();
+}
+
+export function normalizeKey(key) {
+  if (key === "Spacebar") return " ";
+  return typeof key === "string" && key.length === 1 ? key.toLowerCase() : key;
+}
+
+export function normalizeKeymap(keymap) {
+  if (!keymap || typeof keymap !== "object") return null;
+  const result = {};
+  Object.keys(keymap).forEach((action) => {
+    if (!(action in DEFAULT_KEYMAP)) return;
+    const value = keymap[action];
+    const keys = Array.isArray(value) ? value : [value];
+    result[action] = keys
+      .filter((key) => typeof key === "string" && key)
+      .map(normalizeKey);
+  });
+  return Object.keys(result).length ? result : null;
+}
+
+export function createMemoryStorage() {
+  const store = new Map();
+  return {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => {
+      store.set(key, String(value));
+    },
+    removeItem: (key) => {
+      store.delete(key);
+    },
+  };
+}
+
+export function createLocalStorage() {
+  try {
+    const storage = window.localStorage;
+    const probe = "__audio_player__";
+    storage.setItem(probe, probe);
+    storage.removeItem(probe);
+    return storage;
+  } catch {
+    // Private mode, disabled storage or no window: keep it in memory.
+    return createMemoryStorage();
+  }
+}
+
+function isStorageAdapter(storage) {
+  return (
+    Boolean(storage) &&
+    typeof storage === "object" &&
+    typeof storage.getItem === "function" &&
+    typeof storage.setItem === "function"
+  );
+}
+
+function resolveStorage(storage) {
+  if (isStorageAdapter(storage)) return storage;
+  return storage === "memory" ? createMemoryStorage() : createLocalStorage();
+}
+
+function fadeShape(curve, progress) {
+  if (curve === "exponential") return progress * progress;
+  if (curve === "equalPower") return Math.sin((progress * Math.PI) / 2);
+  return progress;
+}
+
+function interpolateFade(from, to, progress, curve) {
+  // Fade-outs mirror fade-ins so both ends of a crossfade match.
+  return to >= from
+    ? from + (to - from) * fadeShape(curve, progress)
+    : to + (from - to) * fadeShape(curve, 1 - progress);
+}
+
+function normalizeEqualizer(value) {
+  if (typeof value === "string" && value in EQ_PRESETS) return value;
+  if (Array.isArray(value) && value.length === EQ_BANDS.length) {
+    const gains = value.map((gain) => clampNumber(gain, -12, 12));
+    if (gains.every((gain) => gain !== null)) return gains;
+  }
+  return "flat";
+}
+
+function normalizeLive(value) {
+  if (value === true || value === "true") return true;
+  if (value === false || value === "false") return false;
+  return "auto";
+}
+
+function normalizeMilestones(value) {
+  if (!Array.isArray(value)) return [];
+  const milestones = value
+    .map((percent) => clampNumber(percent, 1, 100))
+    .filter((percent) => percent !== null);
+  return [...new Set(milestones)].sort((a, b) => a - b);
+}
+
+function isAnalyticsReporter(reporter) {
+  return (
+    typeof reporter === "function" ||
+    Boolean(reporter && typeof reporter.report === "function")
+  );
+}
+
+// Adds [start, end] to a sorted list of disjoint ranges, merging overlaps.
+function addRange(ranges, start, end) {
+  const merged = [];
+  let next = [start, end];
+  ranges.forEach((range) => {
+    if (range[1] < next[0] || range[0] > next[1]) {
+      merged.push(range);
+    } else {
+      next = [Math.min(range[0], next[0]), Math.max(range[1], next[1])];
+    }
+  });
+  merged.push(next);
+  return merged.sort((a, b) => a[0] - b[0]);
+}
+
+function createDOMError(message, name) {
+  if (typeof DOMException === "function") {
+    return new DOMException(message, name);
+  }
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+// Promises returned to callers that may ignore them (UI handlers, playlist
+// steps) must not surface as unhandled rejections.
+function quietReject(error) {
+  const promise = Promise.reject(error);
+  promise.catch(() => {});
+  return promise;
+}
+
+// Accepts a URL, a { src, type } object or an array of either.
+function normalizeSources(source) {
+  const list = Array.isArray(source) ? source : [source];
+  return list
+    .map((item) => {
+      if (typeof item === "string") return { src: item, type: "" };
+      if (!item || typeof item.src !== "string") return null;
+      return {
+        src: item.src,
+        type: typeof item.type === "string" ? item.type : "",
+      };
+    })
+    .filter((item) => item && item.src);
+}
+
+// "90", "90.5", "1:30", "1:02:03", "1h2m3s" or "npt:90" -> seconds.
+export function parseTimestamp(value) {
+  const text = String(value ?? "")
+    .trim()
+    .replace(/^npt:/, "");
+  if (!text) return null;
+  if (/[hms]$/.test(text)) {
+    const match =
+      /^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m)?(?:(\d+(?:\.\d+)?)s)?$/.exec(
+        text
+      );
+    if (!match || match.slice(1).every((part) => part === undefined)) {
+      return null;
+    }
+    const [, hours = 0, minutes = 0, seconds = 0] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  }
+  const parts = text.split(":");
+  if (parts.length > 3 || !parts.every((part) => /^\d+(\.\d+)?$/.test(part))) {
+    return null;
+  }
+  return parts.reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+// Splits the temporal Media Fragment (`#t=start[,end]`) off a URL. Other
+// fragment parameters stay on `src`.
+export function parseMediaFragment(url) {
+  const hash = url.indexOf("#");
+  if (hash < 0) return { src: url, start: null, end: null };
+  let start = null;
+  let end = null;
+  const rest = url
+    .slice(hash + 1)
+    .split("&")
+    .filter((param) => {
+      const match = /^t=([^,]*)(?:,(.*))?$/.exec(param);
+      if (!match) return true;
+      end = match[2] === undefined ? null : parseTimestamp(match[2]);
+      // "t=,30" starts at 0. A start that does not parse or an end that is
+      // not after it voids the fragment.
+      start = match[1] || end === null ? parseTimestamp(match[1]) : 0;
+      if (start === null || (end !== null && end <= start)) {
+        start = null;
+        end = null;
+      }
+      return false;
+    });
+  const base = url.slice(0, hash);
+  return {
+    src: rest.length ? `${base}#${rest.join("&")}` : base,
+    start,
+    end,
+  };
+}
+
+function readStartTimeParam(param) {
+  if (!param || typeof location === "undefined") return null;
+  const value = new URLSearchParams(location.search).get(param);
+  return value === null ? null : parseTimestamp(value);
+}
+
+// Reads `filename*=` (RFC 5987) or `filename=` from a Content-Disposition.
+function getDispositionFilename(header) {
+  if (!header) return null;
+  let name = null;
+  const encoded = /filename\*\s*=\s*[^']*'[^']*'([^;]+)/i.exec(header);
+  if (encoded) {
+    try {
+      name = decodeURIComponent(encoded[1].trim().replace(/^"|"$/g, ""));
+    } catch {
+      name = null;
+    }
+  }
+  if (!name) {
+    const plain = /filename\s*=\s*(?:"([^"]*)"|([^;]+))/i.exec(header);
+    name = plain ? (plain[1] ?? plain[2]).trim() : null;
+  }
+  return name ? name.replace(/[\\/]/g, "_") : null;
+}
+
+function getUrlFilename(src) {
+  try {
+    const base = typeof location !== "undefined" ? location.href : undefined;
+    const path = new URL(src, base).pathname;
+    return decodeURIComponent(path.split("/").pop() || "");
+  } catch {
+    return "";
+  }
+}
+
+function readResponseBlob(response, onProgress) {
+  if (!response.body || typeof response.body.getReader !== "function") {
+    return response.blob().then((blob) => {
+      onProgress(blob.size);
+      return blob;
+    });
+  }
+  const type = response.headers.get("Content-Type") || "";
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  const pump = () =>
+    reader.read().then(({ done, value }) => {
+      if (done) return new Blob(chunks, { type });
+      chunks.push(value);
+      loaded += value.byteLength;
+      onProgress(loaded);
+      return pump();
+    });
+  return pump();
+}
+
+function sumRanges(ranges) {
+  return ranges.reduce((total, [start, end]) => total + end - start, 0);
+}
+
+function createListeningSession(src) {
+  return {
+    src,
+    startedAt: Date.now(),
+    ranges: [],
+    listened: 0,
+    seeks: 0,
+    rates: {},
+    milestones: [],
+    lastTime: null,
+  };
+}
+
+export function toAttributeName(key) {
+  return key.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+}
+
+export function parseOptionAttribute(key, value) {
+  const fallback = DEFAULT_OPTIONS[key];
+  if (value === null || value === undefined) return fallback;
+  const text = String(value).trim();
+  if (typeof fallback === "boolean") {
+    return text !== "false" && text !== "0";
+  }
+  if (typeof fallback === "number") {
+    const number = Number(text);
+    return text && Number.isFinite(number) ? number : fallback;
+  }
+  if (/^[[{]/.test(text)) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return fallback;
+    }
+  }
+  if (typeof fallback === "string") return text;
+  return text || null;
+}
+
+export class AudioController {
+  static use(plugin) {
+    normalizePlugin(plugin);
+    if (!globalPlugins.includes(plugin)) globalPlugins.push(plugin);
+    return this;
+  }
+
+  constructor(options = {}) {
+    this._plugins = resolvePlugins(options.plugins);
+    this._pluginsReady = false;
+    this._pluginDefaults = {};
+    this._pluginEvents = new Set();
+    this._plugins.forEach((plugin) => {
+      Object.assign(this._pluginDefaults, plugin.options);
+      if (Array.isArray(plugin.events)) {
+        plugin.events.forEach((name) => this._pluginEvents.add(name));
+      }
+    });
+
+    this._events = new Map();
+    this._listeners = [];
+    this._renderers = [];
+    this._destroyed = false;
+    this._lastTimeEmit = 0;
+    this._rafId = null;
+
+    this._meta = {
+      title: "",
+      filename: null,
+      allowDownload: undefined,
+      artist: "",
+      album: "",
+      artwork: null,
+    };
+
+    this._mediaSessionSupported = false;
+
+    this._playlist = [];
+    this._playlistIndex = -1;
+    this._playOrder = [];
+
+    this._waveform = {
+      src: null,
+      peaks: null,
+      rms: null,
+      token: 0,
+      controller: null,
+    };
+
+    this._chapters = [];
+    this._chapterIndex = -1;
+
+    this._loop = null;
+    this._loopPendingA = null;
+
+    this._captions = {
+      cues: [],
+      active: [],
+      token: 0,
+      query: "",
+      matches: [],
+      source: null,
+    };
+
+    this._lastPositionSave = 0;
+    this._resumeTime = null;
+
+    this._graph = null;
+    this._boost = 1;
+
+    this._fade = null;
+    this._fadeLevel = 1;
+    this._ghosts = [];
+
+    this._channel = null;
+
+    this._listening = createListeningSession("");
+    this._analyticsQueue = [];
+
+    this._pending = new Set();
+    this._loadRequest = null;
+
+    this._download = null;
+
+    this._buffering = false;
+    // Set while the player itself jumps (A-B loop, silence skip) so the seek
+    // is neither counted as a listener seek nor shown as buffering.
+    this._internalSeek = false;
+
+    this._sources = [];
+    this._sourceIndex = -1;
+    this._retryAttempt = 0;
+    this._retryTimer = null;
+    this._recovery = null;
+    this._error = null;
+
+    this._silence = {
+      src: null,
+      levels: null,
+      spans: [],
+      saved: 0,
+      token: 0,
+      controller: null,
+    };
+
+    this._live = { live: false, dvr: false };
+
+    this._clip = null;
+
+    this._bookmarks = [];
+    // Bookmarks belong to the requested source list, keyed by its first
+    // URL, so a fallback source shares them.
+    this._bookmarkSrc = null;
+
+    this._options = this._mergeOptions(this._getDefaults(), options, true);
+    this._storage = resolveStorage(this._options.storage);
+    this._bookmarkStorage = this._options.bookmarkStorage
+      ? resolveStorage(this._options.bookmarkStorage)
+      : this._storage;
+    if (this._options.persist) {
+      const preferences = this._readStorage(this._getStorageKey("prefs"));
+      if (preferences && typeof preferences === "object") {
+        this._options = this._mergeOptions(this._options, preferences);
+      }
+    }
+
+    // Only the first source that loads starts at the page's start time.
+    this._startTime = readStartTimeParam(this._options.startTimeParam);
+
+    this._mediaFactory =
+      typeof options.createMedia === "function" ? options.createMedia : null;
+    this._audio = options.media || this._createMedia();
+    if (!this._audio) {
+      throw new Error("AudioController: media element not available.");
+    }
+    this._bindMedia();
+
+    registerController(this);
+
+    this.setOptions(this._options, true);
+
+    this._registerOptionEvents(options);
+
+    this._pluginsReady = true;
+    this.runPluginHook("init");
+
+    if (Array.isArray(options.playlist) && options.playlist.length) {
+      this.setPlaylist(options.playlist, options.playlistIndex);
+    } else if (this._options.src) {
+      this.load(this._options.src, options.meta || {});
+    }
+  }
+
+  on(name, handler, { signal, once = false } = {}) {
+    const noop = () => {};
+    if (typeof handler !== "function") return noop;
+    if (name !== WILDCARD_EVENT && !this._isKnownEvent(name)) return noop;
+    if (signal?.aborted) return noop;
+    if (!this._events.has(name)) this._events.set(name, new Map());
+    this._events.get(name).set(handler, { once });
+    const remove = () => this.off(name, handler);
+    signal?.addEventListener("abort", remove, { once: true });
+    return remove;
+  }
+
+  once(name, handler, options = {}) {
+    return this.on(name, handler, { ...options, once: true });
+  }
+
+  // off(name) drops every handler of `name`, off() every handler at all.
+  off(name, handler) {
+    if (name === undefined) {
+      this._events.clear();
+      return;
+    }
+    const handlers = this._events.get(name);
+    if (!handlers) return;
+    if (handler === undefined) handlers.clear();
+    else handlers.delete(handler);
+  }
+
+  waitFor(name, { timeout = 0, signal } = {}) {
+    if (!this._isKnownEvent(name)) {
+      return quietReject(
+        new TypeError(`AudioController: unknown event "${name}".`)
+      );
+    }
+    return this._wait(
+      (resolve) => {
+        this.on(name, resolve);
+        return () => this.off(name, resolve);
+      },
+      { timeout, signal, name }
+    );
+  }
+
+  emit(name, payload) {
+    const call = (handlers, args) => {
+      if (!handlers || !handlers.size) return;
+      [...handlers].forEach(([handler, { once }]) => {
+        if (once) handlers.delete(handler);
+        try {
+          handler(...args);
+        } catch (error) {
+          // Avoid breaking main flow on handler error
+          console.error("[AudioPlayer] handler error:", error);
+        }
+      });
+    };
+    call(this._events.get(name), [payload]);
+    if (name !== WILDCARD_EVENT) {
+      call(this._events.get(WILDCARD_EVENT), [name, payload]);
+    }
+  }
+
+  attachRenderer(renderer) {
+    if (!renderer || typeof renderer.update !== "function") {
+      throw new Error("AudioController: renderer must implement update().");
+    }
+    if (!this._renderers.includes(renderer)) {
+      this._renderers.push(renderer);
+      if (typeof renderer.mount === "function") renderer.mount(this);
+      RENDER_CHANGES.forEach((change) => renderer.update(change));
+    }
+    return () => this.detachRenderer(renderer);
+  }
+
+  detachRenderer(renderer) {
+    const index = this._renderers.indexOf(renderer);
+    if (index === -1) return;
+    this._renderers.splice(index, 1);
+    if (typeof renderer.destroy === "function") renderer.destroy();
+  }
+
+  getOptions() {
+    return {
+      ...this._options,
+    };
+  }
+
+  getState() {
+    const audio = this._audio;
+    return {
+      src: this._options.src,
+      paused: audio.paused,
+      ended: audio.ended,
+      currentTime: audio.currentTime,
+      duration: audio.duration,
+      volume: this._getVolume(),
+      muted: audio.muted,
+      playbackRate: audio.playbackRate,
+      buffering: this._buffering,
+      live: this.isLive(),
+    };
+  }
+
+  isLive() {
+    if (!this._audio) return false;
+    const { live } = this._options;
+    return live === "auto" ? this._audio.duration === Infinity : live;
+  }
+
+  getLiveState() {
+    if (!this.isLive()) return null;
+    const range = this._getSeekableRange();
+    if (!range || range[1] - range[0] < LIVE_MIN_DVR_WINDOW) {
+      return { dvr: false, start: null, end: null, behind: 0, atLiveEdge: true };
+    }
+    const [start, end] = range;
+    const behind = Math.max(0, end - this._audio.currentTime);
+    return {
+      dvr: true,
+      start,
+      end,
+      behind,
+      atLiveEdge: behind <= LIVE_EDGE_TOLERANCE,
+    };
+  }
+
+  getBufferedRanges() {
+    const buffered = this._audio?.buffered;
+    const ranges = [];
+    if (!buffered) return ranges;
+    for (let i = 0; i < buffered.length; i += 1) {
+      ranges.push([buffered.start(i), buffered.end(i)]);
+    }
+    return ranges;
+  }
+
+  getMeta() {
+    const { peaks, ...meta } = this._meta;
+    return { ...meta };
+  }
+
+  getMedia() {
+    return this._audio;
+  }
+
+  resetOptions(partial = {}) {
+    return this.setOptions({ ...this._getDefaults(), ...partial });
+  }
+
+  _getLiveOptions() {
+    const base = this.getOptions();
+    if (!this._audio) return base;
+    return {
+      ...base,
+      volume: this._getVolume(),
+      muted: this._audio.muted,
+      playbackRate: this._audio.playbackRate,
+    };
+  }
+
+  setOptions(partial = {}) {
+    if (!partial || typeof partial !== "object") return this.getOptions();
+
+    const previous = { ...this._options };
+    const next = { ...this._options };
+
+    if ("webAudio" in partial) {
+      const webAudio = Boolean(partial.webAudio);
+      if (webAudio !== next.webAudio) {
+        next.webAudio = webAudio;
+      }
+    }
+
+    if ("volumeMax" in partial) {
+      const volumeMax = clampNumber(partial.volumeMax, 100, 400);
+      if (volumeMax !== null && volumeMax !== next.volumeMax) {
+        next.volumeMax = volumeMax;
+      }
+    }
+
+    if ("volume" in partial) {
+      const volume = clampNumber(partial.volume, 0, 400);
+      if (volume !== null && volume !== next.volume) {
+        next.volume = volume;
+      }
+    }
+    next.volume = Math.min(next.volume, next.webAudio ? next.volumeMax : 100);
+
+    if ("muted" in partial) {
+      const muted = Boolean(partial.muted);
+      if (muted !== next.muted) {
+        next.muted = muted;
+      }
+    }
+
+    if ("playbackRate" in partial) {
+      const rate = clampNumber(
+        partial.playbackRate,
+        next.playbackRateMin,
+        next.playbackRateMax
+      );
+      if (rate !== null && rate !== next.playbackRate) {
+        next.playbackRate = rate;
+      }
+    }
+
+    if ("seekStep" in partial) {
+      const seekStep = clampNumber(partial.seekStep, 1, 120);
+      if (seekStep !== null && seekStep !== next.seekStep) {
+        next.seekStep = seekStep;
+      }
+    }
+
+    if ("allowDownload" in partial) {
+      const allowDownload = Boolean(partial.allowDownload);
+      if (allowDownload !== next.allowDownload) {
+        next.allowDownload = allowDownload;
+      }
+    }
+
+    if ("playbackRateMin" in partial) {
+      const minRate = clampNumber(partial.playbackRateMin, 0.2, 4);
+      if (minRate !== null && minRate !== next.playbackRateMin) {
+        next.playbackRateMin = minRate;
+      }
+    }
+
+    if ("playbackRateMax" in partial) {
+      const maxRate = clampNumber(partial.playbackRateMax, 0.2, 4);
+      if (maxRate !== null && maxRate !== next.playbackRateMax) {
+        next.playbackRateMax = maxRate;
+      }
+    }
+
+    if ("playbackRateStep" in partial) {
+      const step = clampNumber(partial.playbackRateStep, 0.01, 1);
+      if (step !== null && step !== next.playbackRateStep) {
+        next.playbackRateStep = step;
+      }
+    }
+
+    if (next.playbackRateMin > next.playbackRateMax) {
+      const temp = next.playbackRateMin;
+      next.playbackRateMin = next.playbackRateMax;
+      next.playbackRateMax = temp;
+    }
+
+    const clampedRate = clampNumber(
+      next.playbackRate,
+      next.playbackRateMin,
+      next.playbackRateMax
+    );
+    if (clampedRate !== null && clampedRate !== next.playbackRate) {
+      next.playbackRate = clampedRate;
+    }
+
+    if ("showTime" in partial) {
+      const showTime = Boolean(partial.showTime);
+      if (showTime !== next.showTime) {
+        next.showTime = showTime;
+      }
+    }
+
+    if ("theme" in partial) {
+      const theme =
+        typeof partial.theme === "string" && partial.theme.trim()
+          ? partial.theme.trim()
+          : DEFAULT_OPTIONS.theme;
+      if (theme !== next.theme) {
+        next.theme = theme;
+      }
+    }
+
+    if ("downloadFilename" in partial) {
+      const filename =
+        typeof partial.downloadFilename === "string" &&
+        partial.downloadFilename.trim()
+          ? partial.downloadFilename.trim()
+          : null;
+      if (filename !== next.downloadFilename) {
+        next.downloadFilename = filename;
+      }
+    }
+
+    if ("ariaLabelPrefix" in partial) {
+      const ariaLabelPrefix =
+        typeof partial.ariaLabelPrefix === "string" &&
+        partial.ariaLabelPrefix.trim()
+          ? partial.ariaLabelPrefix.trim()
+          : DEFAULT_OPTIONS.ariaLabelPrefix;
+      if (ariaLabelPrefix !== next.ariaLabelPrefix) {
+        next.ariaLabelPrefix = ariaLabelPrefix;
+      }
+    }
+
+    if ("src" in partial) {
+      const src = typeof partial.src === "string" ? partial.src : "";
+      if (src !== next.src) {
+        next.src = src;
+      }
+    }
+
+    if ("shuffle" in partial) {
+      const shuffle = Boolean(partial.shuffle);
+      if (shuffle !== next.shuffle) {
+        next.shuffle = shuffle;
+      }
+    }
+
+    if ("repeat" in partial) {
+      const repeat = REPEAT_MODES.includes(partial.repeat)
+        ? partial.repeat
+        : DEFAULT_OPTIONS.repeat;
+      if (repeat !== next.repeat) {
+        next.repeat = repeat;
+      }
+    }
+
+    if ("loopControls" in partial) {
+      const loopControls = Boolean(partial.loopControls);
+      if (loopControls !== next.loopControls) {
+        next.loopControls = loopControls;
+      }
+    }
+
+    if ("showCaptions" in partial) {
+      const showCaptions = Boolean(partial.showCaptions);
+      if (showCaptions !== next.showCaptions) {
+        next.showCaptions = showCaptions;
+      }
+    }
+
+    if ("transcript" in partial) {
+      const transcript = Boolean(partial.transcript);
+      if (transcript !== next.transcript) {
+        next.transcript = transcript;
+      }
+    }
+
+    if ("keyboard" in partial) {
+      const keyboard = Boolean(partial.keyboard);
+      if (keyboard !== next.keyboard) {
+        next.keyboard = keyboard;
+      }
+    }
+
+    if ("keyboardScope" in partial) {
+      const scope = partial.keyboardScope === "page" ? "page" : "player";
+      if (scope !== next.keyboardScope) {
+        next.keyboardScope = scope;
+      }
+    }
+
+    if ("keymap" in partial) {
+      next.keymap = normalizeKeymap(partial.keymap);
+    }
+
+    if ("locale" in partial) {
+      const locale =
+        typeof partial.locale === "string" && partial.locale.trim()
+          ? partial.locale.trim()
+          : DEFAULT_OPTIONS.locale;
+      if (locale !== next.locale) {
+        next.locale = locale;
+      }
+    }
+
+    if ("messages" in partial) {
+      next.messages = normalizeMessages(partial.messages);
+    }
+
+    if ("persist" in partial) {
+      const persist = Boolean(partial.persist);
+      if (persist !== next.persist) {
+        next.persist = persist;
+      }
+    }
+
+    if ("persistKey" in partial) {
+      const persistKey =
+        typeof partial.persistKey === "string" && partial.persistKey.trim()
+          ? partial.persistKey.trim()
+          : DEFAULT_OPTIONS.persistKey;
+      if (persistKey !== next.persistKey) {
+        next.persistKey = persistKey;
+      }
+    }
+
+    if ("storage" in partial) {
+      const storage =
+        isStorageAdapter(partial.storage) || partial.storage === "memory"
+          ? partial.storage
+          : DEFAULT_OPTIONS.storage;
+      if (storage !== next.storage) {
+        next.storage = storage;
+        this._storage = resolveStorage(storage);
+        if (!next.bookmarkStorage) this._bookmarkStorage = this._storage;
+      }
+    }
+
+    if ("bookmarkStorage" in partial) {
+      const bookmarkStorage =
+        isStorageAdapter(partial.bookmarkStorage) ||
+        ["local", "memory"].includes(partial.bookmarkStorage)
+          ? partial.bookmarkStorage
+          : null;
+      if (bookmarkStorage !== next.bookmarkStorage) {
+        next.bookmarkStorage = bookmarkStorage;
+        this._bookmarkStorage = bookmarkStorage
+          ? resolveStorage(bookmarkStorage)
+          : this._storage;
+      }
+    }
+
+    if ("bookmarks" in partial) {
+      const bookmarks = Boolean(partial.bookmarks);
+      if (bookmarks !== next.bookmarks) {
+        next.bookmarks = bookmarks;
+      }
+    }
+
+    if ("resumePrompt" in partial) {
+      const resumePrompt = Boolean(partial.resumePrompt);
+      if (resumePrompt !== next.resumePrompt) {
+        next.resumePrompt = resumePrompt;
+      }
+    }
+
+    if ("completionThreshold" in partial) {
+      const threshold = clampNumber(partial.completionThreshold, 0.5, 1);
+      if (threshold !== null && threshold !== next.completionThreshold) {
+        next.completionThreshold = threshold;
+      }
+    }
+
+    if ("equalizer" in partial) {
+      next.equalizer = normalizeEqualizer(partial.equalizer);
+    }
+
+    if ("nightMode" in partial) {
+      const nightMode = Boolean(partial.nightMode);
+      if (nightMode !== next.nightMode) {
+        next.nightMode = nightMode;
+      }
+    }
+
+    if ("crossOrigin" in partial) {
+      const crossOrigin = ["anonymous", "use-credentials"].includes(
+        partial.crossOrigin
+      )
+        ? partial.crossOrigin
+        : null;
+      if (crossOrigin !== next.crossOrigin) {
+        next.crossOrigin = crossOrigin;
+      }
+    }
+
+    ["fadeIn", "fadeOut", "crossfade"].forEach((key) => {
+      if (!(key in partial)) return;
+      const duration = clampNumber(partial[key], 0, 10000);
+      if (duration !== null && duration !== next[key]) {
+        next[key] = duration;
+      }
+    });
+
+    if ("fadeCurve" in partial) {
+      const fadeCurve = FADE_CURVES.includes(partial.fadeCurve)
+        ? partial.fadeCurve
+        : DEFAULT_OPTIONS.fadeCurve;
+      if (fadeCurve !== next.fadeCurve) {
+        next.fadeCurve = fadeCurve;
+      }
+    }
+
+    if ("waveform" in partial) {
+      const waveform = Boolean(partial.waveform);
+      if (waveform !== next.waveform) {
+        next.waveform = waveform;
+      }
+    }
+
+    if ("exclusive" in partial) {
+      const exclusive = Boolean(partial.exclusive);
+      if (exclusive !== next.exclusive) {
+        next.exclusive = exclusive;
+      }
+    }
+
+    if ("exclusiveGroup" in partial) {
+      const group =
+        typeof partial.exclusiveGroup === "string" &&
+        partial.exclusiveGroup.trim()
+          ? partial.exclusiveGroup.trim()
+          : DEFAULT_OPTIONS.exclusiveGroup;
+      if (group !== next.exclusiveGroup) {
+        next.exclusiveGroup = group;
+      }
+    }
+
+    if ("broadcast" in partial) {
+      const broadcast = Boolean(partial.broadcast);
+      if (broadcast !== next.broadcast) {
+        next.broadcast = broadcast;
+      }
+    }
+
+    if ("milestones" in partial) {
+      next.milestones = normalizeMilestones(partial.milestones);
+    }
+
+    if ("analyticsReporter" in partial) {
+      next.analyticsReporter = isAnalyticsReporter(partial.analyticsReporter)
+        ? partial.analyticsReporter
+        : null;
+    }
+
+    if ("retryCount" in partial) {
+      const retryCount = clampNumber(partial.retryCount, 0, 10);
+      if (retryCount !== null && retryCount !== next.retryCount) {
+        next.retryCount = retryCount;
+      }
+    }
+
+    if ("retryDelay" in partial) {
+      const retryDelay = clampNumber(partial.retryDelay, 0, 60000);
+      if (retryDelay !== null && retryDelay !== next.retryDelay) {
+        next.retryDelay = retryDelay;
+      }
+    }
+
+    if ("downloadMode" in partial) {
+      next.downloadMode = partial.downloadMode === "fetch" ? "fetch" : "link";
+    }
+
+    if ("analyticsBatchSize" in partial) {
+      const batchSize = clampNumber(partial.analyticsBatchSize, 1, 100);
+      if (batchSize !== null && batchSize !== next.analyticsBatchSize) {
+        next.analyticsBatchSize = batchSize;
+      }
+    }
+
+    if ("skipSilence" in partial) {
+      const skipSilence = Boolean(partial.skipSilence);
+      if (skipSilence !== next.skipSilence) {
+        next.skipSilence = skipSilence;
+      }
+    }
+
+    if ("silenceThreshold" in partial) {
+      const threshold = clampNumber(partial.silenceThreshold, -100, 0);
+      if (threshold !== null && threshold !== next.silenceThreshold) {
+        next.silenceThreshold = threshold;
+      }
+    }
+
+    if ("live" in partial) {
+      next.live = normalizeLive(partial.live);
+    }
+
+    if ("share" in partial) {
+      const share = Boolean(partial.share);
+      if (share !== next.share) {
+        next.share = share;
+      }
+    }
+
+    if ("startTimeParam" in partial) {
+      next.startTimeParam =
+        typeof partial.startTimeParam === "string" &&
+        partial.startTimeParam.trim()
+          ? partial.startTimeParam.trim()
+          : null;
+    }
+
+    if ("silenceMinDuration" in partial) {
+      const minDuration = clampNumber(partial.silenceMinDuration, 0.2, 30);
+      if (minDuration !== null && minDuration !== next.silenceMinDuration) {
+        next.silenceMinDuration = minDuration;
+      }
+    }
+
+    Object.keys(this._pluginDefaults).forEach((key) => {
+      if (key in partial) next[key] = partial[key];
+    });
+
+    this._options = next;
+    if (next.shuffle !== previous.shuffle) {
+      this._buildPlayOrder();
+    }
+    this._applyOptions();
+
+    if (next.waveform && !previous.waveform) {
+      this._ensureWaveform();
+    }
+
+    if (next.skipSilence && !previous.skipSilence) {
+      this._ensureSilence();
+    } else if (
+      next.silenceThreshold !== previous.silenceThreshold ||
+      next.silenceMinDuration !== previous.silenceMinDuration
+    ) {
+      this._updateSilenceSpans();
+    }
+
+    if ("src" in partial) {
+      if (this._options.src) {
+        this.load(this._options.src, {}, previous.src);
+      }
+    }
+
+    const changedKeys = Object.keys(partial).filter(
+      (key) => key in next && !isSameOptionValue(next[key], previous[key])
+    );
+    if (changedKeys.length) {
+      this.runPluginHook("optionsChange", {
+        changedKeys,
+        previous,
+        options: this.getOptions(),
+      });
+    }
+
+    return this.getOptions();
+  }
+
+  load(source, meta = {}, previousSrc = null) {
+    const sources = normalizeSources(source);
+    if (!sources.length) {
+      return quietReject(
+        new TypeError("AudioController: load() needs a source URL.")
+      );
+    }
+    // Nothing reported as playable: try the first and let it fail properly.
+    const index = Math.max(0, this._findPlayableSource(sources, 0));
+    const { src, start, end } = parseMediaFragment(sources[index].src);
+    if (!this._emitCancelable("beforeload", { src, sources, meta })) {
+      return quietReject(
+        createDOMError("AudioController: load() was prevented.", "AbortError")
+      );
+    }
+    const clipStart = start ?? this._startTime;
+    this._clip =
+      clipStart === null && end === null
+        ? null
+        : { start: clipStart ?? 0, end, started: false, ended: false };
+    const previous = previousSrc ?? this._audio.src;
+    const loaded = this._createLoadRequest();
+    this._clearRetry();
+    this._sources = sources;
+    this._sourceIndex = index;
+    this._bookmarkSrc = parseMediaFragment(sources[0].src).src;
+    this._recovery = null;
+    this._setError(null);
+
+    this._savePosition();
+    this._hideResumePrompt();
+    this._endListeningSession(src);
+
+    const crossfade =
+      this._options.crossfade > 0 &&
+      (this._mediaFactory || typeof document !== "undefined") &&
+      !this._audio.paused &&
+      !this._isFadingOut() &&
+      src !== previous;
+    if (crossfade) {
+      this._detachForCrossfade();
+    } else {
+      this._endFade();
+      this._audio.pause();
+    }
+    this._setBuffering(false);
+    this._updatePlayState();
+    this._stopProgressLoop();
+
+    this._meta.title =
+      typeof meta.title === "string" ? meta.title.trim() : "";
+    this._meta.filename =
+      typeof meta.filename === "string" && meta.filename.trim()
+        ? meta.filename.trim()
+        : null;
+    this._meta.allowDownload =
+      typeof meta.allowDownload === "boolean" ? meta.allowDownload : undefined;
+    this._meta.artist =
+      typeof meta.artist === "string" ? meta.artist.trim() : "";
+    this._meta.album =
+      typeof meta.album === "string" ? meta.album.trim() : "";
+    this._meta.artwork = Array.isArray(meta.artwork) ? meta.artwork : null;
+    this._meta.peaks = meta.peaks ?? null;
+    this._chapters = normalizeChapters(meta.chapters);
+    this._chapterIndex = -1;
+    this._loop = null;
+    this._loopPendingA = null;
+
+    this._options.src = src;
+    this._audio.src = src;
+    this._audio.load();
+    this._updateLive();
+    this._audio.playbackRate = this._options.playbackRate;
+    this._syncRate();
+    this._applyVolume(this._options.volume);
+    this._audio.muted = this._options.muted;
+    this._syncVolume(true);
+    this._render("meta");
+    this._render("time");
+    this._render("duration");
+    this._render("chapters");
+    this._updateActiveChapter(0);
+    this._render("loop");
+    this._captions.source = meta.captions ?? null;
+    this._loadSourceData();
+
+    this._updateMediaSessionMetadata();
+    this._updateMediaSessionPositionState();
+
+    if (src !== previous) {
+      this.emit("srcchange", { src });
+    }
+
+    if (crossfade) {
+      this._fadeTo(1, this._options.crossfade, null, 0);
+      this._audio.play().catch((error) => {
+        this.emit("error", { error });
+      });
+    }
+
+    this.runPluginHook("load", { src, meta });
+    return loaded;
+  }
+
+  play() {
+    if (this._destroyed) {
+      return quietReject(
+        createDOMError("AudioController: player destroyed.", "AbortError")
+      );
+    }
+    if (
+      this._audio.paused &&
+      !this._emitCancelable("beforeplay", { src: this._options.src })
+    ) {
+      return quietReject(
+        createDOMError("AudioController: play() was prevented.", "AbortError")
+      );
+    }
+    if (this._options.webAudio) {
+      // Build the graph inside the user gesture so the context may start.
+      const graph = this._setupAudioGraph();
+      if (graph && graph.context.state === "suspended") {
+        graph.context.resume().catch(() => {});
+      }
+    }
+    const { fadeIn } = this._options;
+    if (fadeIn > 0 && this._audio.paused) {
+      this._fadeTo(1, fadeIn, null, 0);
+    } else if (this._isFadingOut()) {
+      // Playing again during a fade-out cancels the pending pause.
+      this._fadeTo(1, fadeIn);
+    }
+    const playing = this._audio.play();
+    playing.catch((error) => {
+      this.emit("error", { error });
+    });
+    return playing;
+  }
+
+  pause() {
+    if (this._destroyed) return;
+    const { fadeOut } = this._options;
+    if (fadeOut > 0 && !this._audio.paused) {
+      this._fadeTo(0, fadeOut, () => this._audio.pause());
+      return;
+    }
+    this._endFade();
+    this._audio.pause();
+  }
+
+  stop() {
+    if (this._destroyed) return;
+    const finish = () => {
+      this._audio.pause();
+      this.seek(0);
+      this.emit("stop");
+    };
+    const { fadeOut } = this._options;
+    if (fadeOut > 0 && !this._audio.paused) {
+      this._fadeTo(0, fadeOut, finish);
+      return;
+    }
+    this._endFade();
+    finish();
+  }
+
+  toggle() {
+    if (this._audio.paused || this._isFadingOut()) this.play();
+    else this.pause();
+  }
+
+  seek(seconds) {
+    const { duration } = this._audio;
+    const live = this.getLiveState();
+    if (Number.isNaN(duration) || (!live && !Number.isFinite(duration))) {
+      return quietReject(
+        createDOMError(
+          "AudioController: cannot seek before metadata is loaded.",
+          "InvalidStateError"
+        )
+      );
+    }
+    if (live && !live.dvr) {
+      return quietReject(
+        createDOMError(
+          "AudioController: this live stream is not seekable.",
+          "NotSupportedError"
+        )
+      );
+    }
+    const [min, max] = live ? [live.start, live.end] : [0, duration];
+    const from = this._audio.currentTime;
+    const to = Math.max(min, Math.min(max, seconds));
+    if (from === to) return Promise.resolve({ from, to });
+    if (!this._emitCancelable("beforeseek", { from, to })) {
+      // Snap renderers (e.g. a dragged seek bar) back to the real position.
+      this._render("time");
+      return quietReject(
+        createDOMError("AudioController: seek() was prevented.", "AbortError")
+      );
+    }
+    const audio = this._audio;
+    const seeked = this._wait((resolve) => {
+      const handler = () => resolve({ from, to });
+      audio.addEventListener("seeked", handler, { once: true });
+      return () => audio.removeEventListener("seeked", handler);
+    });
+    this._audio.currentTime = to;
+    this._syncProgress();
+    this.emit("seek", { from, to });
+    return seeked;
+  }
+
+  seekToLive() {
+    if (!this.isLive()) {
+      return quietReject(
+        createDOMError(
+          "AudioController: the source is not a live stream.",
+          "InvalidStateError"
+        )
+      );
+    }
+    return this.seek(Infinity);
+  }
+
+  seekBy(deltaSeconds) {
+    const delta = Number(deltaSeconds);
+    if (!Number.isFinite(delta)) {
+      return quietReject(new TypeError("AudioController: invalid seek delta."));
+    }
+    return this.seek(this._audio.currentTime + delta);
+  }
+
+  setPlaybackRate(rate) {
+    const value = clampNumber(
+      rate,
+      this._options.playbackRateMin,
+      this._options.playbackRateMax
+    );
+    if (value === null) return;
+    this._audio.playbackRate = value;
+  }
+
+  setVolume(volume0to100) {
+    const value = clampNumber(volume0to100, 0, this._getVolumeMax());
+    if (value === null) return;
+    if (this._applyVolume(value)) {
+      // Only the boost gain changed, so no native volumechange will fire.
+      this._syncVolume();
+      this._savePreferences();
+    }
+    if (value > 0 && this._audio.muted) this._audio.muted = false;
+  }
+
+  setEqualizer(equalizer) {
+    this.setOptions({ equalizer });
+    this.emitOptionsChange(["equalizer"]);
+  }
+
+  setNightMode(enabled) {
+    this.setOptions({ nightMode: enabled });
+    this.emitOptionsChange(["nightMode"]);
+  }
+
+  getAudioGraph() {
+    const graph = this._setupAudioGraph();
+    if (!graph) return null;
+    const { context, source, filters, compressor, gain, nodes } = graph;
+    return {
+      context,
+      source,
+      filters: [...filters],
+      compressor,
+      gain,
+      nodes: [...nodes],
+    };
+  }
+
+  setAudioNodes(nodes = []) {
+    const graph = this._setupAudioGraph();
+    if (!graph) return false;
+    graph.nodes = Array.isArray(nodes)
+      ? nodes.filter((node) => node && typeof node.connect === "function")
+      : [];
+    this._connectAudioGraph();
+    return true;
+  }
+
+  mute() {
+    this._audio.muted = true;
+  }
+
+  unmute() {
+    this._audio.muted = false;
+  }
+
+  toggleMute() {
+    this._audio.muted = !this._audio.muted;
+  }
+
+  setPlaylist(tracks, startIndex = 0) {
+    const list = Array.isArray(tracks)
+      ? tracks.map((track) => this._normalizeTrack(track)).filter(Boolean)
+      : [];
+    this._playlist = list;
+    this._playlistIndex = -1;
+    this._buildPlayOrder();
+
+    if (list.length) {
+      const index = clampNumber(startIndex, 0, list.length - 1) ?? 0;
+      this._loadTrack(Math.floor(index), false);
+    } else {
+      this._render("playlist");
+    }
+
+    this.emit("playlistchange", {
+      tracks: this.getPlaylist(),
+      index: this._playlistIndex,
+    });
+  }
+
+  setChapters(chapters) {
+    this._chapters = normalizeChapters(chapters);
+    this._chapterIndex = -1;
+    this._render("chapters");
+    this._updateActiveChapter(this._audio.currentTime);
+  }
+
+  getChapters() {
+    return this._chapters.map((chapter, index) => ({
+      ...chapter,
+      end: this._getChapterEnd(index),
+    }));
+  }
+
+  getCurrentChapter() {
+    const chapter = this._chapters[this._chapterIndex];
+    if (!chapter) return null;
+    return {
+      ...chapter,
+      end: this._getChapterEnd(this._chapterIndex),
+      index: this._chapterIndex,
+    };
+  }
+
+  nextChapter() {
+    const current = this._audio.currentTime;
+    const chapter = this._chapters.find((item) => item.start > current + 0.5);
+    if (!chapter) return false;
+    this.seek(chapter.start);
+    return true;
+  }
+
+  previousChapter() {
+    const current = this._audio.currentTime;
+    const index = this._findChapterIndex(current);
+    const chapter = this._chapters[index];
+    // Like previous(): restart the current chapter before going back one.
+    if (chapter && current - chapter.start > 3) {
+      this.seek(chapter.start);
+      return true;
+    }
+    const before = this._chapters
+      .filter((item) => item.start < current - 0.5)
+      .filter((item) => !chapter || item.start < chapter.start);
+    const target = before[before.length - 1];
+    if (!target) return false;
+    this.seek(target.start);
+    return true;
+  }
+
+  setLoop(a, b, { count = null } = {}) {
+    const duration = this._audio.duration;
+    const start = Math.max(0, Number(a));
+    let end = Number(b);
+    if (!Number.isFinite(start) || !Number.isFinite(end)) return false;
+    if (Number.isFinite(duration)) end = Math.min(end, duration);
+    if (end - start < 0.05) return false;
+
+    const times = Number(count);
+    this._loop = {
+      a: start,
+      b: end,
+      count: Number.isInteger(times) && times > 0 ? times : null,
+      iteration: 1,
+    };
+    this._loopPendingA = null;
+    this._render("loop");
+
+    const current = this._audio.currentTime;
+    if (current < start || current >= end) this.seek(start);
+    this.emit("loopstart", this._getLoopPayload());
+    return true;
+  }
+
+  clearLoop() {
+    if (!this._loop && this._loopPendingA === null) return;
+    this._loop = null;
+    this._loopPendingA = null;
+    this._render("loop");
+  }
+
+  getLoop() {
+    return this._loop ? { ...this._loop } : null;
+  }
+
+  getLoopStart() {
+    // The A point is set before B, so this can exist without a loop.
+    if (this._loop) return this._loop.a;
+    return this._loopPendingA;
+  }
+
+  setLoopPoint(point) {
+    const current = this._audio.currentTime;
+    if (point === "a") {
+      this._loop = null;
+      this._loopPendingA = current;
+      this._render("loop");
+      return;
+    }
+    const start = this._loopPendingA ?? this._loop?.a;
+    if (start === undefined || start === null || current <= start) return;
+    this.setLoop(start, current);
+  }
+
+  setCaptions(captions) {
+    this._loadCaptions(captions);
+  }
+
+  getCues() {
+    return this._captions.cues.map((cue) => ({ ...cue }));
+  }
+
+  getActiveCues() {
+    return this._captions.active.map((index) => ({
+      ...this._captions.cues[index],
+      index,
+    }));
+  }
+
+  searchTranscript(query) {
+    const text = typeof query === "string" ? query.trim() : "";
+    const needle = normalizeSearchText(text);
+    this._captions.query = text;
+    this._captions.matches = needle
+      ? this._captions.cues.reduce((result, cue, index) => {
+          if (normalizeSearchText(cue.text).includes(needle)) {
+            result.push(index);
+          }
+          return result;
+        }, [])
+      : [];
+    this._render("matches");
+    return this._captions.matches.map((index) => ({
+      ...this._captions.cues[index],
+      index,
+    }));
+  }
+
+  getSearchResults() {
+    const { query, matches, cues } = this._captions;
+    return {
+      query,
+      matches: matches.map((index) => ({ ...cues[index], index })),
+    };
+  }
+
+  jumpToMatch(direction = 1) {
+    const { matches, cues, active } = this._captions;
+    if (!matches.length) return null;
+    const current = active.length
+      ? cues[active[0]].start
+      : this._audio.currentTime;
+    const ordered = direction < 0 ? [...matches].reverse() : matches;
+    const target =
+      ordered.find((index) =>
+        direction < 0
+          ? cues[index].start < current
+          : cues[index].start > current
+      ) ?? ordered[0];
+    this.seek(cues[target].start);
+    return { ...cues[target], index: target };
+  }
+
+  setWaveformPeaks(peaks) {
+    this._meta.peaks = peaks ?? null;
+    this._loadWaveform();
+  }
+
+  getWaveform() {
+    const { peaks, rms } = this._waveform;
+    if (!peaks) return null;
+    return { peaks: [...peaks], rms: rms ? [...rms] : null };
+  }
+
+  addBookmark({ time = this._audio.currentTime, note = "" } = {}) {
+    if (!this._options.src || this.isLive()) return null;
+    const { duration } = this._audio;
+    const [bookmark] = normalizeBookmarks([
+      {
+        time: Number.isFinite(duration) ? Math.min(time, duration) : time,
+        note,
+      },
+    ]);
+    if (!bookmark) return null;
+    this._bookmarks = normalizeBookmarks([...this._bookmarks, bookmark]);
+    this._commitBookmarks("add", bookmark);
+    return { ...bookmark };
+  }
+
+  updateBookmark(id, changes = {}) {
+    const current = this._bookmarks.find((bookmark) => bookmark.id === id);
+    if (!current) return null;
+    const [bookmark] = normalizeBookmarks([{ ...current, ...changes, id }]);
+    if (!bookmark) return null;
+    this._bookmarks = normalizeBookmarks(
+      this._bookmarks.map((item) => (item.id === id ? bookmark : item))
+    );
+    this._commitBookmarks("update", bookmark);
+    return { ...bookmark };
+  }
+
+  removeBookmark(id) {
+    const bookmark = this._bookmarks.find((item) => item.id === id);
+    if (!bookmark) return false;
+    this._bookmarks = this._bookmarks.filter((item) => item !== bookmark);
+    this._commitBookmarks("remove", bookmark);
+    return true;
+  }
+
+  clearBookmarks() {
+    if (!this._bookmarks.length) return;
+    this._bookmarks = [];
+    this._commitBookmarks("clear", null);
+  }
+
+  getBookmarks() {
+    return this._bookmarks.map((bookmark) => ({ ...bookmark }));
+  }
+
+  exportBookmarks(format = "json") {
+    return serializeBookmarks(this.getBookmarks(), format, this._bookmarkSrc);
+  }
+
+  // Imported bookmarks are merged unless `replace` is set; ones with the
+  // same id, or the same time and note, as a bookmark already kept (existing
+  // or earlier in the import) are skipped.
+  importBookmarks(data, { replace = false } = {}) {
+    if (!this._options.src) return [];
+    const kept = replace ? [] : [...this._bookmarks];
+    parseBookmarks(data).forEach((bookmark) => {
+      const duplicate = kept.some(
+        (item) =>
+          item.id === bookmark.id ||
+          (item.time === bookmark.time && item.note === bookmark.note)
+      );
+      if (!duplicate) kept.push(bookmark);
+    });
+    this._bookmarks = normalizeBookmarks(kept);
+    this._commitBookmarks("import", null);
+    return this.getBookmarks();
+  }
+
+  getClip() {
+    if (!this._clip) return null;
+    const { start, end } = this._clip;
+    return { start, end };
+  }
+
+  // With `startTimeParam` the page URL is shared, otherwise the media URL
+  // with a `#t=` fragment. Pass `at: null` for a link without a time.
+  getShareUrl({ at = this._audio?.currentTime, end = null } = {}) {
+    const time =
+      Number.isFinite(at) && at > 0 && !this.isLive() ? Math.floor(at) : null;
+    const param = this._options.startTimeParam;
+    if (param && typeof location !== "undefined") {
+      const url = new URL(location.href);
+      if (time === null) url.searchParams.delete(param);
+      else url.searchParams.set(param, String(time));
+      return url.href;
+    }
+
+    let src = this._options.src;
+    if (!src) return null;
+    if (typeof location !== "undefined") src = new URL(src, location.href).href;
+    if (time === null) return src;
+    const fragment =
+      Number.isFinite(end) && end > time
+        ? `t=${time},${Math.ceil(end)}`
+        : `t=${time}`;
+    return `${src}${src.includes("#") ? "&" : "#"}${fragment}`;
+  }
+
+  copyShareUrl(options) {
+    const url = this.getShareUrl(options);
+    const clipboard =
+      typeof navigator !== "undefined" ? navigator.clipboard : undefined;
+    if (!url || !clipboard || typeof clipboard.writeText !== "function") {
+      return quietReject(
+        createDOMError(
+          "AudioController: cannot copy the share link.",
+          "NotSupportedError"
+        )
+      );
+    }
+    return clipboard.writeText(url).then(() => {
+      this.emit("share", { url });
+      return url;
+    });
+  }
+
+  getSilentSpans() {
+    return this._silence.spans.map(([start, end]) => [start, end]);
+  }
+
+  getTimeSaved() {
+    return this._silence.saved;
+  }
+
+  resetTimeSaved() {
+    this._silence.saved = 0;
+    this._render("silence");
+  }
+
+  getSavedPosition(src = this._options.src) {
+    if (!src) return null;
+    const saved = this._readStorage(this._getStorageKey("position", src));
+    return saved && Number.isFinite(saved.time) ? saved.time : null;
+  }
+
+  clearSavedPosition(src = this._options.src) {
+    if (!src) return;
+    this._removeStorage(this._getStorageKey("position", src));
+  }
+
+  getResumePosition() {
+    return this._resumeTime;
+  }
+
+  acceptResume() {
+    const time = this._resumeTime;
+    this._hideResumePrompt();
+    if (time === null) return;
+    this._resumeAt(time);
+    this.play();
+  }
+
+  dismissResume() {
+    if (this._resumeTime === null) return;
+    this._hideResumePrompt();
+    this.clearSavedPosition();
+  }
+
+  getKeymap() {
+    const keymap = {};
+    Object.keys(DEFAULT_KEYMAP).forEach((action) => {
+      const custom = this._options.keymap && this._options.keymap[action];
+      keymap[action] = [...(custom || DEFAULT_KEYMAP[action])];
+    });
+    return keymap;
+  }
+
+  getPlaylist() {
+    return this._playlist.map((track) => ({ ...track }));
+  }
+
+  getCurrentIndex() {
+    return this._playlistIndex;
+  }
+
+  hasNext() {
+    return this._getAdjacentIndex(1) !== -1;
+  }
+
+  playAt(index) {
+    const value = Number(index);
+    if (!Number.isInteger(value) || !this._playlist[value]) return;
+    this._loadTrack(value, true);
+  }
+
+  next() {
+    this._stepTrack(1, !this._audio.paused);
+  }
+
+  previous() {
+    // Behave like most players: restart the current track first.
+    if (
+      this._audio.currentTime > 3 ||
+      !this._stepTrack(-1, !this._audio.paused)
+    ) {
+      this.seek(0);
+    }
+  }
+
+  setShuffle(shuffle) {
+    this.setOptions({ shuffle });
+  }
+
+  setRepeat(mode) {
+    this.setOptions({ repeat: mode });
+  }
+
+  canDownload() {
+    // A live stream never finishes downloading.
+    if (this.isLive()) return false;
+    return typeof this._meta.allowDownload === "boolean"
+      ? this._meta.allowDownload
+      : this._options.allowDownload;
+  }
+
+  download() {
+    if (this._download) return this._download.promise;
+    const src = this._audio.src;
+    if (!src || !this.canDownload()) return Promise.resolve(false);
+    const filename =
+      this._meta.filename || this._options.downloadFilename || "";
+    if (!this._emitCancelable("beforedownload", { src, filename })) {
+      return Promise.resolve(false);
+    }
+    this.emit("download", { src, filename });
+    if (this._options.downloadMode === "fetch" && typeof fetch === "function") {
+      return this._fetchDownload(src, filename);
+    }
+    this._clickDownloadLink(src, filename, true);
+    return Promise.resolve(true);
+  }
+
+  getError() {
+    return this._error ? this._error.error : null;
+  }
+
+  // Reloads the current sources after a final error, resuming where playback
+  // stopped.
+  retry() {
+    if (!this._sources.length) {
+      return quietReject(
+        createDOMError(
+          "AudioController: nothing to retry.",
+          "InvalidStateError"
+        )
+      );
+    }
+    const resume = this._error?.resume ?? {
+      time: this._audio.currentTime,
+      playing: !this._audio.paused,
+    };
+    const loaded = this._createLoadRequest();
+    this._clearRetry();
+    this._setError(null);
+    const index = this._findPlayableSource(this._sources, 0);
+    this._useSource(Math.max(0, index), resume);
+    return loaded;
+  }
+
+  getDownloadState() {
+    if (!this._download) return null;
+    const { src, loaded, total } = this._download;
+    return {
+      src,
+      loaded,
+      total,
+      progress: total ? Math.min(1, loaded / total) : null,
+    };
+  }
+
+  cancelDownload() {
+    if (!this._download) return false;
+    this._download.abort.abort();
+    return true;
+  }
+
+  emitOptionsChange(changedKeys) {
+    if (!Array.isArray(changedKeys) || !changedKeys.length) return;
+    this.emit("optionschange", {
+      changedKeys,
+      options: this._getLiveOptions(),
+    });
+  }
+
+  getListeningSummary() {
+    const session = this._listening;
+    const duration =
+      this._audio && Number.isFinite(this._audio.duration)
+        ? this._audio.duration
+        : null;
+    const coverage = sumRanges(session.ranges);
+    return {
+      src: session.src,
+      duration,
+      listened: session.listened,
+      coverage,
+      coverageRatio: duration ? Math.min(1, coverage / duration) : null,
+      ranges: session.ranges.map((range) => [...range]),
+      seeks: session.seeks,
+      rates: { ...session.rates },
+      milestones: [...session.milestones],
+      completed: Boolean(
+        duration && coverage / duration >= this._options.completionThreshold
+      ),
+      startedAt: session.startedAt,
+      endedAt: Date.now(),
+    };
+  }
+
+  flushAnalytics() {
+    if (!this._analyticsQueue.length) return;
+    const batch = this._analyticsQueue;
+    this._analyticsQueue = [];
+    const reporter = this._options.analyticsReporter;
+    if (!reporter) return;
+    try {
+      if (typeof reporter === "function") reporter(batch);
+      else reporter.report(batch);
+    } catch (error) {
+      console.error("[AudioPlayer] analytics reporter error:", error);
+    }
+  }
+
+  // Calls `hook(player, payload)` on every plugin of this instance. Renderers
+  // call it with "ui" once their markup exists.
+  runPluginHook(hook, payload) {
+    if (!this._pluginsReady) return;
+    this._plugins.forEach((plugin) => {
+      if (typeof plugin[hook] !== "function") return;
+      try {
+        plugin[hook](this, payload);
+      } catch (error) {
+        console.error(`[AudioPlayer] plugin "${plugin.name}" error:`, error);
+      }
+    });
+  }
+
+  destroy() {
+    if (this._destroyed) return;
+    const destroyed = createDOMError(
+      "AudioController: player destroyed.",
+      "AbortError"
+    );
+    [...this._pending].forEach((cancel) => cancel(destroyed));
+    this.cancelDownload();
+    this._clearRetry();
+    this.runPluginHook("destroy");
+    this._pluginsReady = false;
+    this._savePosition();
+    this._endListeningSession();
+    this.flushAnalytics();
+    this._destroyed = true;
+    this._stopProgressLoop();
+    if (this._fade) clearInterval(this._fade.timer);
+    this._fade = null;
+    this._ghosts.forEach((ghost) => ghost.finish());
+    this._cancelWaveform();
+    this._cancelSilence();
+    this._captions.token += 1;
+    if (this._graph) {
+      this._graph.context.close().catch(() => {});
+      this._graph = null;
+    }
+    [...this._renderers].forEach((renderer) => this.detachRenderer(renderer));
+    this._listeners.forEach(({ el, event, handler, options }) => {
+      el.removeEventListener(event, handler, options);
+    });
+    this._listeners = [];
+    this._closeChannel();
+    if (this._audio) {
+      this._audio.pause();
+      this._audio.src = "";
+    }
+    releasePlayback(this);
+    this._audio = null;
+    this._events.clear();
+  }
+
+  _createLoadRequest() {
+    if (this._loadRequest) {
+      this._loadRequest.reject(
+        createDOMError("AudioController: load() was superseded.", "AbortError")
+      );
+    }
+    return this._wait((resolve, reject) => {
+      const request = { resolve, reject };
+      this._loadRequest = request;
+      return () => {
+        if (this._loadRequest === request) this._loadRequest = null;
+      };
+    });
+  }
+
+  _findPlayableSource(sources, from) {
+    for (let i = from; i < sources.length; i += 1) {
+      const { type } = sources[i];
+      if (
+        !type ||
+        typeof this._audio.canPlayType !== "function" ||
+        this._audio.canPlayType(type) !== ""
+      ) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  _useSource(index, resume) {
+    const { src } = parseMediaFragment(this._sources[index].src);
+    const previous = this._options.src;
+    this._sourceIndex = index;
+    this._recovery = resume;
+    this._options.src = src;
+    this._audio.src = src;
+    this._audio.load();
+    this._updateLive();
+    this._loadSourceData();
+    if (src !== previous) this.emit("srcchange", { src });
+  }
+
+  // Work tied to the media URL, redone by load() and on fallback or retry.
+  _loadSourceData() {
+    this._internalSeek = false;
+    this._render("buffer");
+    this._loadWaveform();
+    this._loadSilence();
+    this._loadBookmarks();
+    this._loadCaptions(this._captions.source);
+  }
+
+  _clearRetry() {
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+    this._retryAttempt = 0;
+  }
+
+  // Network errors are retried with backoff, then every error but an abort
+  // moves on to the next playable source. Only the last failure is reported.
+  _handleMediaError() {
+    const mediaError = this._audio.error;
+    const error = new AudioPlayerError(mediaError, this._options.src);
+    const resume = this._recovery || {
+      time: this._audio.currentTime,
+      playing: !this._audio.paused,
+    };
+
+    if (error.codeName === "MEDIA_ERR_NETWORK") {
+      if (this._retryAttempt < this._options.retryCount) {
+        const delay = this._options.retryDelay * 2 ** this._retryAttempt;
+        this._retryAttempt += 1;
+        this._recovery = resume;
+        this.emit("retry", { attempt: this._retryAttempt, delay, error });
+        clearTimeout(this._retryTimer);
+        this._retryTimer = setTimeout(() => {
+          this._retryTimer = null;
+          this._useSource(this._sourceIndex, resume);
+        }, delay);
+        return;
+      }
+    }
+
+    if (error.codeName !== "MEDIA_ERR_ABORTED") {
+      const next = this._findPlayableSource(
+        this._sources,
+        this._sourceIndex + 1
+      );
+      if (next !== -1) {
+        this._retryAttempt = 0;
+        this.emit("sourcefallback", {
+          from: this._options.src,
+          to: this._sources[next].src,
+          error,
+        });
+        this._useSource(next, resume);
+        return;
+      }
+    }
+
+    this._recovery = null;
+    this._retryAttempt = 0;
+    this._setBuffering(false);
+    this._setError(error, resume);
+    this.emit("error", { error });
+    if (this._loadRequest) this._loadRequest.reject(error);
+  }
+
+  _setError(error, resume = null) {
+    if (!error && !this._error) return;
+    this._error = error ? { error, resume } : null;
+    this._render("error");
+  }
+
+  _fetchDownload(src, filename) {
+    const download = {
+      src,
+      loaded: 0,
+      total: null,
+      abort: new AbortController(),
+      promise: null,
+    };
+    this._download = download;
+    this._render("download");
+    const { signal } = download.abort;
+    const credentials =
+      this._options.crossOrigin === "use-credentials"
+        ? "include"
+        : "same-origin";
+
+    download.promise = fetch(src, { signal, credentials })
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        download.total = Number(response.headers.get("Content-Length")) || null;
+        const name =
+          filename ||
+          getDispositionFilename(response.headers.get("Content-Disposition")) ||
+          getUrlFilename(src);
+        return readResponseBlob(response, (loaded) => {
+          download.loaded = loaded;
+          this._render("download");
+          this.emit("downloadprogress", this.getDownloadState());
+        }).then((blob) => {
+          const url = URL.createObjectURL(blob);
+          this._clickDownloadLink(url, name, false);
+          setTimeout(() => URL.revokeObjectURL(url), 1000);
+          this.emit("downloadcomplete", {
+            src,
+            filename: name,
+            size: blob.size,
+          });
+          return true;
+        });
+      })
+      .catch((error) => {
+        if (signal.aborted) {
+          throw createDOMError(
+            "AudioController: download canceled.",
+            "AbortError"
+          );
+        }
+        // CORS or network failure: hand the URL to the browser as before.
+        console.warn("[AudioPlayer] Fetch download failed:", error);
+        this._clickDownloadLink(src, filename, true);
+        return true;
+      })
+      .finally(() => {
+        if (this._download !== download) return;
+        this._download = null;
+        this._render("download");
+      });
+    download.promise.catch(() => {});
+    return download.promise;
+  }
+
+  _clickDownloadLink(href, filename, newTab) {
+    if (typeof document === "undefined") return;
+    const link = document.createElement("a");
+    if (newTab) link.target = "_blank";
+    link.href = href;
+    if (filename) link.download = filename;
+    link.rel = "noopener";
+    link.click();
+  }
+
+  // Wraps a subscription in a promise that also settles on timeout, abort
+  // signal or destroy(). `subscribe(resolve, reject)` returns its cleanup.
+  _wait(subscribe, { timeout = 0, signal, name = "result" } = {}) {
+    const promise = new Promise((resolve, reject) => {
+      if (this._destroyed) {
+        reject(
+          createDOMError("AudioController: player destroyed.", "AbortError")
+        );
+        return;
+      }
+      if (signal?.aborted) {
+        reject(signal.reason ?? createDOMError("Aborted.", "AbortError"));
+        return;
+      }
+
+      let unsubscribe = null;
+      let timer = null;
+      const settle = (callback, value) => {
+        if (unsubscribe) unsubscribe();
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
+        this._pending.delete(cancel);
+        callback(value);
+      };
+      const cancel = (error) => settle(reject, error);
+      const onAbort = () =>
+        cancel(signal.reason ?? createDOMError("Aborted.", "AbortError"));
+
+      this._pending.add(cancel);
+      signal?.addEventListener("abort", onAbort, { once: true });
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          cancel(
+            createDOMError(
+              `AudioController: timed out waiting for ${name}.`,
+              "TimeoutError"
+            )
+          );
+        }, timeout);
+      }
+      unsubscribe = subscribe(
+        (value) => settle(resolve, value),
+        (error) => settle(reject, error)
+      );
+    });
+    promise.catch(() => {});
+    return promise;
+  }
+
+  _getDefaults() {
+    return { ...DEFAULT_OPTIONS, ...this._pluginDefaults };
+  }
+
+  // Emits `name` with `detail` plus preventDefault(); false when vetoed.
+  _emitCancelable(name, detail) {
+    const event = {
+      ...detail,
+      type: name,
+      defaultPrevented: false,
+      preventDefault() {
+        event.defaultPrevented = true;
+      },
+    };
+    this.emit(name, event);
+    return !event.defaultPrevented;
+  }
+
+  _isKnownEvent(name) {
+    return EVENTS.includes(name) || this._pluginEvents.has(name);
+  }
+
+  _mergeOptions(base, override, includeUnknown = false) {
+    const merged = { ...base };
+    Object.keys(override || {}).forEach((key) => {
+      if (includeUnknown || key in base) merged[key] = override[key];
+    });
+    merged.theme =
+      typeof merged.theme === "string" && merged.theme.trim()
+        ? merged.theme.trim()
+        : base.theme;
+    merged.webAudio = Boolean(merged.webAudio);
+    merged.volumeMax =
+      clampNumber(merged.volumeMax, 100, 400) ?? base.volumeMax;
+    merged.volume =
+      clampNumber(
+        merged.volume,
+        0,
+        merged.webAudio ? merged.volumeMax : 100
+      ) ?? base.volume;
+    merged.playbackRateMin =
+      clampNumber(merged.playbackRateMin, 0.2, 4) ?? base.playbackRateMin;
+    merged.playbackRateMax =
+      clampNumber(merged.playbackRateMax, 0.2, 4) ?? base.playbackRateMax;
+    merged.playbackRateStep =
+      clampNumber(merged.playbackRateStep, 0.01, 1) ?? base.playbackRateStep;
+    if (merged.playbackRateMin > merged.playbackRateMax) {
+      const temp = merged.playbackRateMin;
+      merged.playbackRateMin = merged.playbackRateMax;
+      merged.playbackRateMax = temp;
+    }
+    merged.playbackRate =
+      clampNumber(
+        merged.playbackRate,
+        merged.playbackRateMin,
+        merged.playbackRateMax
+      ) ?? 1;
+    merged.seekStep = clampNumber(merged.seekStep, 1, 120) ?? base.seekStep;
+    merged.muted = Boolean(merged.muted);
+    merged.allowDownload = Boolean(merged.allowDownload);
+    merged.showTime = Boolean(merged.showTime);
+    merged.downloadFilename =
+      typeof merged.downloadFilename === "string" &&
+      merged.downloadFilename.trim()
+        ? merged.downloadFilename.trim()
+        : null;
+    merged.ariaLabelPrefix =
+      typeof merged.ariaLabelPrefix === "string" &&
+      merged.ariaLabelPrefix.trim()
+        ? merged.ariaLabelPrefix.trim()
+        : base.ariaLabelPrefix;
+    merged.src = typeof merged.src === "string" ? merged.src : "";
+    merged.shuffle = Boolean(merged.shuffle);
+    merged.repeat = REPEAT_MODES.includes(merged.repeat)
+      ? merged.repeat
+      : base.repeat;
+    merged.waveform = Boolean(merged.waveform);
+    merged.loopControls = Boolean(merged.loopControls);
+    merged.showCaptions = Boolean(merged.showCaptions);
+    merged.transcript = Boolean(merged.transcript);
+    merged.keyboard = Boolean(merged.keyboard);
+    merged.keyboardScope =
+      merged.keyboardScope === "page" ? "page" : base.keyboardScope;
+    merged.keymap = normalizeKeymap(merged.keymap);
+    merged.locale =
+      typeof merged.locale === "string" && merged.locale.trim()
+        ? merged.locale.trim()
+        : base.locale;
+    merged.messages = normalizeMessages(merged.messages);
+    merged.persist = Boolean(merged.persist);
+    merged.persistKey =
+      typeof merged.persistKey === "string" && merged.persistKey.trim()
+        ? merged.persistKey.trim()
+        : base.persistKey;
+    merged.storage =
+      isStorageAdapter(merged.storage) || merged.storage === "memory"
+        ? merged.storage
+        : DEFAULT_OPTIONS.storage;
+    merged.resumePrompt = Boolean(merged.resumePrompt);
+    merged.completionThreshold =
+      clampNumber(merged.completionThreshold, 0.5, 1) ??
+      base.completionThreshold;
+    merged.equalizer = normalizeEqualizer(merged.equalizer);
+    merged.nightMode = Boolean(merged.nightMode);
+    merged.crossOrigin = ["anonymous", "use-credentials"].includes(
+      merged.crossOrigin
+    )
+      ? merged.crossOrigin
+      : null;
+    ["fadeIn", "fadeOut", "crossfade"].forEach((key) => {
+      merged[key] = clampNumber(merged[key], 0, 10000) ?? base[key];
+    });
+    merged.fadeCurve = FADE_CURVES.includes(merged.fadeCurve)
+      ? merged.fadeCurve
+      : base.fadeCurve;
+    merged.exclusive = Boolean(merged.exclusive);
+    merged.exclusiveGroup =
+      typeof merged.exclusiveGroup === "string" &&
+      merged.exclusiveGroup.trim()
+        ? merged.exclusiveGroup.trim()
+        : base.exclusiveGroup;
+    merged.broadcast = Boolean(merged.broadcast);
+    merged.milestones = normalizeMilestones(merged.milestones);
+    merged.analyticsReporter = isAnalyticsReporter(merged.analyticsReporter)
+      ? merged.analyticsReporter
+      : null;
+    merged.analyticsBatchSize =
+      clampNumber(merged.analyticsBatchSize, 1, 100) ??
+      base.analyticsBatchSize;
+    merged.downloadMode = merged.downloadMode === "fetch" ? "fetch" : "link";
+    merged.retryCount =
+      clampNumber(merged.retryCount, 0, 10) ?? base.retryCount;
+    merged.retryDelay =
+      clampNumber(merged.retryDelay, 0, 60000) ?? base.retryDelay;
+    merged.skipSilence = Boolean(merged.skipSilence);
+    merged.silenceThreshold =
+      clampNumber(merged.silenceThreshold, -100, 0) ?? base.silenceThreshold;
+    merged.silenceMinDuration =
+      clampNumber(merged.silenceMinDuration, 0.2, 30) ??
+      base.silenceMinDuration;
+    merged.live = normalizeLive(merged.live);
+    merged.share = Boolean(merged.share);
+    merged.bookmarks = Boolean(merged.bookmarks);
+    merged.bookmarkStorage =
+      isStorageAdapter(merged.bookmarkStorage) ||
+      ["local", "memory"].includes(merged.bookmarkStorage)
+        ? merged.bookmarkStorage
+        : null;
+    merged.startTimeParam =
+      typeof merged.startTimeParam === "string" &&
+      merged.startTimeParam.trim()
+        ? merged.startTimeParam.trim()
+        : null;
+    return merged;
+  }
+
+  _registerOptionEvents(options) {
+    if (options && typeof options.on === "function") {
+      // Allow: new AudioPlayer(el, { on: (on) => { on("play", fn) } })
+      options.on(this.on.bind(this));
+    } else if (options && options.on && typeof options.on === "object") {
+      Object.entries(options.on).forEach(([name, handler]) =>
+        this.on(name, handler)
+      );
+    }
+
+    if (options && options.events && typeof options.events === "object") {
+      Object.entries(options.events).forEach(([name, handler]) =>
+        this.on(name, handler)
+      );
+    }
+  }
+
+  _createMedia() {
+    if (this._mediaFactory) return this._mediaFactory();
+    if (typeof document === "undefined") return null;
+    const audio = document.createElement("audio");
+    audio.preload = "metadata";
+    return audio;
+  }
+
+  _render(change) {
+    this._renderers.forEach((renderer) => renderer.update(change));
+  }
+
+  _bindMedia() {
+    if (typeof window !== "undefined") {
+      this._bind(window, "pagehide", () => {
+        this._savePosition();
+        this._endListeningSession();
+        this.flushAnalytics();
+      });
+    }
+
+    this._bind(this._audio, "loadedmetadata", () => {
+      // Some browsers may reset these after new src load.
+      this._audio.playbackRate = this._options.playbackRate;
+      this._applyVolume(this._options.volume);
+      this._audio.muted = this._options.muted;
+      this._syncRate();
+      this._syncVolume(true);
+      this._render("duration");
+      this._updateLive();
+      this._updateMediaSessionMetadata();
+      this._updateMediaSessionPositionState();
+      const ready = {
+        duration: this._audio.duration,
+        src: this._audio.src,
+      };
+      this.emit("ready", ready);
+      const clip = this._clip;
+      if (clip && !clip.started) {
+        // A linked start time wins over the remembered position.
+        clip.started = true;
+        this._startTime = null;
+        if (clip.start > 0) this._audio.currentTime = clip.start;
+      } else {
+        this._restorePosition();
+      }
+      this._retryAttempt = 0;
+      if (this._recovery) {
+        const { time, playing } = this._recovery;
+        this._recovery = null;
+        if (time > 0) this._audio.currentTime = time;
+        if (playing) {
+          this._audio.play().catch((error) => this.emit("error", { error }));
+        }
+      }
+      if (this._loadRequest) this._loadRequest.resolve(ready);
+    });
+
+    this._bind(this._audio, "timeupdate", () => this._handleTimeUpdate());
+    this._bind(this._audio, "durationchange", () => {
+      this._render("duration");
+      this._updateLive();
+    });
+    this._bind(this._audio, "waiting", () => this._setBuffering(true));
+    this._bind(this._audio, "stalled", () => {
+      // Fired whenever the network idles; only a stall once the buffer ran
+      // dry holds playback up.
+      if (this._audio.readyState < HAVE_FUTURE_DATA) this._setBuffering(true);
+    });
+    ["canplay", "playing", "seeked", "emptied"].forEach((event) => {
+      this._bind(this._audio, event, () => this._setBuffering(false));
+    });
+    this._bind(this._audio, "progress", () => {
+      this._render("buffer");
+      this.emit("bufferprogress", {
+        buffered: this._audio.buffered,
+        ranges: this.getBufferedRanges(),
+        duration: this._audio.duration,
+      });
+    });
+    this._bind(this._audio, "seeking", () => {
+      const session = this._listening;
+      if (this._internalSeek) {
+        session.lastTime = null;
+        return;
+      }
+      if (!this._audio.paused) this._setBuffering(true);
+      if (session.lastTime === null) return;
+      session.lastTime = null;
+      if (session.listened > 0) session.seeks += 1;
+    });
+    this._bind(this._audio, "seeked", () => {
+      this._internalSeek = false;
+      this._listening.lastTime = this._audio.currentTime;
+    });
+    this._bind(this._audio, "play", () => {
+      claimPlayback(this);
+      this._listening.lastTime ??= this._audio.currentTime;
+      if (this._channel) {
+        this._channel.postMessage({
+          type: "play",
+          group: this._options.exclusiveGroup,
+        });
+      }
+      this._hideResumePrompt();
+      this._updatePlayState();
+      this._startProgressLoop();
+      this.emit("play");
+    });
+    this._bind(this._audio, "pause", () => {
+      this._setBuffering(false);
+      this._updatePlayState();
+      this._stopProgressLoop();
+      this._savePosition();
+      this.emit("pause");
+    });
+    this._bind(this._audio, "ended", () => {
+      this._setBuffering(false);
+      this._updatePlayState();
+      this._syncProgress(this._audio.duration);
+      this._stopProgressLoop();
+      this.clearSavedPosition();
+      this.emit("ended");
+      this._handleTrackEnded();
+    });
+    this._bind(this._audio, "ratechange", () => {
+      this._syncRate();
+      this.emit("ratechange", { rate: this._audio.playbackRate });
+      this._savePreferences();
+    });
+    this._bind(this._audio, "volumechange", () => {
+      this._syncVolume();
+      this._savePreferences();
+    });
+    this._bind(this._audio, "error", () => this._handleMediaError());
+  }
+
+  _bind(el, event, handler, options) {
+    el.addEventListener(event, handler, options);
+    this._listeners.push({ el, event, handler, options });
+  }
+
+  _setupMediaSession() {
+    if (typeof navigator === "undefined" || !navigator.mediaSession) {
+      this._mediaSessionSupported = false;
+      return;
+    }
+
+    this._mediaSessionSupported = true;
+    const mediaSession = navigator.mediaSession;
+
+    try {
+      mediaSession.setActionHandler("play", () => {
+        this.play();
+      });
+      mediaSession.setActionHandler("pause", () => {
+        this.pause();
+      });
+      mediaSession.setActionHandler("seekbackward", (details) => {
+        const offset =
+          details && typeof details.seekOffset === "number"
+            ? details.seekOffset
+            : this._options.seekStep;
+        this.seekBy(-offset);
+      });
+      mediaSession.setActionHandler("seekforward", (details) => {
+        const offset =
+          details && typeof details.seekOffset === "number"
+            ? details.seekOffset
+            : this._options.seekStep;
+        this.seekBy(offset);
+      });
+      mediaSession.setActionHandler("seekto", (details) => {
+        if (!details || typeof details.seekTime !== "number") return;
+        if (details.fastSeek && typeof this._audio.fastSeek === "function") {
+          const from = this._audio.currentTime;
+          const to = details.seekTime;
+          if (this._emitCancelable("beforeseek", { from, to })) {
+            this._audio.fastSeek(to);
+          }
+        } else {
+          this.seek(details.seekTime);
+        }
+      });
+      mediaSession.setActionHandler("stop", () => {
+        this.stop();
+      });
+      mediaSession.setActionHandler("previoustrack", () => {
+        this.emit("previoustrack");
+        if (this._playlist.length) this.previous();
+        else if (this._chapters.length) this.previousChapter();
+      });
+      mediaSession.setActionHandler("nexttrack", () => {
+        this.emit("nexttrack");
+        if (this._playlist.length) this.next();
+        else if (this._chapters.length) this.nextChapter();
+      });
+    } catch (error) {
+      // In some environments, individual action handlers may throw.
+      console.warn("[AudioPlayer] Failed to setup Media Session:", error);
+      this._mediaSessionSupported = false;
+    }
+  }
+
+  _ownsMediaSession() {
+    return this._mediaSessionSupported && sessionOwner === this;
+  }
+
+  _claimMediaSession() {
+    this._setupMediaSession();
+    this._updateMediaSessionMetadata();
+    this._updateMediaSessionPlaybackState();
+    this._updateMediaSessionPositionState();
+  }
+
+  _pauseForGroup(group) {
+    if (
+      !this._audio ||
+      this._audio.paused ||
+      !this._options.exclusive ||
+      this._options.exclusiveGroup !== group
+    ) {
+      return;
+    }
+    this.pause();
+  }
+
+  _syncChannel() {
+    const name = `audio-player:${this._options.exclusiveGroup}`;
+    const wanted =
+      this._options.exclusive &&
+      this._options.broadcast &&
+      typeof BroadcastChannel === "function";
+    if (this._channel && (!wanted || this._channel.name !== name)) {
+      this._closeChannel();
+    }
+    if (!wanted || this._channel) return;
+    this._channel = new BroadcastChannel(name);
+    this._channel.onmessage = ({ data }) => {
+      if (data && data.type === "play") this._pauseForGroup(data.group);
+    };
+  }
+
+  _closeChannel() {
+    if (!this._channel) return;
+    this._channel.onmessage = null;
+    this._channel.close();
+    this._channel = null;
+  }
+
+  _updateMediaSessionMetadata() {
+    if (
+      !this._ownsMediaSession() ||
+      typeof navigator === "undefined" ||
+      !navigator.mediaSession
+    ) {
+      return;
+    }
+
+    if (typeof window === "undefined" || typeof window.MediaMetadata !== "function") {
+      return;
+    }
+
+    const init = {
+      title: this._meta.title || "",
+    };
+
+    if (this._meta.artist) init.artist = this._meta.artist;
+    if (this._meta.album) init.album = this._meta.album;
+    if (
+      this._meta.artwork &&
+      Array.isArray(this._meta.artwork) &&
+      this._meta.artwork.length
+    ) {
+      init.artwork = this._meta.artwork;
+    }
+
+    try {
+      navigator.mediaSession.metadata = new window.MediaMetadata(init);
+    } catch {
+      // ignore metadata errors
+    }
+  }
+
+  _updateMediaSessionPlaybackState() {
+    if (
+      !this._ownsMediaSession() ||
+      typeof navigator === "undefined" ||
+      !navigator.mediaSession
+    ) {
+      return;
+    }
+
+    try {
+      // A stalled element is not paused but its position is not moving.
+      navigator.mediaSession.playbackState =
+        this._audio && !this._audio.paused && !this._buffering
+          ? "playing"
+          : "paused";
+    } catch {
+      // ignore state errors
+    }
+  }
+
+  _updateMediaSessionPositionState() {
+    if (
+      !this._ownsMediaSession() ||
+      typeof navigator === "undefined" ||
+      !navigator.mediaSession ||
+      typeof navigator.mediaSession.setPositionState !== "function"
+    ) {
+      return;
+    }
+
+    // An infinite duration tells the OS the stream has no end.
+    const duration = this.isLive()
+      ? Infinity
+      : Number.isFinite(this._audio.duration)
+        ? this._audio.duration
+        : 0;
+    const position = Number.isFinite(this._audio.currentTime)
+      ? this._audio.currentTime
+      : 0;
+    const rate = this._audio.playbackRate || 1;
+
+    try {
+      navigator.mediaSession.setPositionState({
+        duration,
+        playbackRate: rate,
+        position,
+      });
+    } catch {
+      // ignore state errors
+    }
+  }
+
+  _applyOptions() {
+    this._audio.playbackRate = this._options.playbackRate;
+    this._syncRate();
+
+    if (this._options.crossOrigin) {
+      this._audio.crossOrigin = this._options.crossOrigin;
+    } else {
+      this._audio.removeAttribute("crossorigin");
+    }
+    this._applyVolume(this._options.volume);
+    this._audio.muted = this._options.muted;
+    this._syncVolume(true);
+    this._applyAudioEffects();
+    this._syncChannel();
+    this._updateLive();
+
+    if (this._options.src) {
+      const currentSrc = this._audio.getAttribute("src") || "";
+      if (currentSrc !== this._options.src) {
+        this._audio.src = this._options.src;
+      }
+    }
+    this._render("options");
+  }
+
+  _normalizeTrack(track) {
+    if (typeof track === "string") {
+      return track ? { src: track } : null;
+    }
+    if (!track || typeof track !== "object") return null;
+    // `src` may list several formats, see load().
+    if (!normalizeSources(track.src).length) return null;
+    return { ...track };
+  }
+
+  _buildPlayOrder() {
+    const order = this._playlist.map((_, index) => index);
+    if (this._options.shuffle) {
+      for (let i = order.length - 1; i > 0; i -= 1) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+      // Keep the current track first so the rest of the shuffle follows it.
+      const current = order.indexOf(this._playlistIndex);
+      if (current > 0) {
+        order.splice(current, 1);
+        order.unshift(this._playlistIndex);
+      }
+    }
+    this._playOrder = order;
+  }
+
+  _getAdjacentIndex(direction) {
+    const order = this._playOrder;
+    if (!order.length) return -1;
+    const position = order.indexOf(this._playlistIndex);
+    const target = position + direction;
+    if (target >= 0 && target < order.length) return order[target];
+    if (this._options.repeat !== "all") return -1;
+    return order[(target + order.length) % order.length];
+  }
+
+  _stepTrack(direction, autoplay) {
+    let index = this._getAdjacentIndex(direction);
+    if (index === -1) return false;
+    if (
+      direction > 0 &&
+      this._options.shuffle &&
+      this._playOrder.indexOf(this._playlistIndex) === this._playOrder.length - 1
+    ) {
+      // Wrapped around: start a fresh shuffle for the next pass.
+      this._buildPlayOrder();
+      index = this._playOrder.find((value) => value !== this._playlistIndex);
+      if (index === undefined) index = this._playlistIndex;
+    }
+    this._loadTrack(index, autoplay);
+    return true;
+  }
+
+  _loadTrack(index, autoplay) {
+    const track = this._playlist[index];
+    if (!track) return;
+    const previousIndex = this._playlistIndex;
+    this._playlistIndex = index;
+    this.load(track.src, track);
+    this._render("playlist");
+    this.emit("trackchange", {
+      index,
+      previousIndex,
+      track: { ...track },
+    });
+    if (autoplay) this.play();
+  }
+
+  _handleTrackEnded() {
+    // A loop whose B point is the very end never sees currentTime >= b.
+    if (this._loop) {
+      this._checkLoop(this._loop.b);
+      if (this._loop || !this._audio.paused) return;
+    }
+    const { repeat } = this._options;
+    if (repeat === "one" || (repeat === "all" && this._playlist.length < 2)) {
+      this._audio.currentTime = 0;
+      this.play();
+      return;
+    }
+    if (this._playlist.length) {
+      this._stepTrack(1, true);
+    }
+  }
+
+  _syncRate() {
+    const rate = this._audio.playbackRate || this._options.playbackRate;
+    this._options.playbackRate = rate;
+    this._render("rate");
+    this._updateMediaSessionPositionState();
+  }
+
+  _syncVolume(skipEmit = false) {
+    const volume = this._getVolume();
+    const muted = this._audio.muted;
+    this._render("volume");
+
+    if (!skipEmit) {
+      if (volume !== this._options.volume) {
+        this._options.volume = volume;
+        this.emit("volumechange", { volume });
+      }
+      if (muted !== this._options.muted) {
+        this._options.muted = muted;
+        this.emit("mutechange", { muted });
+      }
+    }
+  }
+
+  _getVolumeMax() {
+    return this._options.webAudio ? this._options.volumeMax : 100;
+  }
+
+  _getVolume() {
+    // During a ramp the element volume is not the user's volume.
+    if (this._fade) return this._fade.volume;
+    return Math.round(this._audio.volume * 100 * this._boost);
+  }
+
+  _applyVolume(value) {
+    const volume = clampNumber(value, 0, this._getVolumeMax()) ?? 100;
+    const boost = volume > 100 ? volume / 100 : 1;
+    const fadeLevel = this._graph ? 1 : this._fadeLevel;
+    const level = (Math.min(volume, 100) / 100) * fadeLevel;
+    const boostChanged = boost !== this._boost;
+    this._boost = boost;
+    if (this._fade) this._fade.volume = volume;
+    if (this._graph) {
+      this._graph.gain.gain.value = boost;
+    }
+    if (this._audio.volume !== level) {
+      this._audio.volume = level;
+      return false;
+    }
+    return boostChanged;
+  }
+
+  _setupAudioGraph() {
+    if (this._graph) return this._graph;
+    if (!this._options.webAudio || typeof window === "undefined") return null;
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (typeof AudioContextClass !== "function") return null;
+
+    try {
+      const context = new AudioContextClass();
+      const source = context.createMediaElementSource(this._audio);
+      const filters = EQ_BANDS.map((frequency, index) => {
+        const filter = context.createBiquadFilter();
+        if (index === 0) filter.type = "lowshelf";
+        else if (index === EQ_BANDS.length - 1) filter.type = "highshelf";
+        else filter.type = "peaking";
+        filter.frequency.value = frequency;
+        filter.Q.value = 1;
+        return filter;
+      });
+      const fade = context.createGain();
+      fade.gain.value = this._fadeLevel;
+      const compressor = context.createDynamicsCompressor();
+      compressor.threshold.value = -36;
+      compressor.knee.value = 30;
+      compressor.ratio.value = 8;
+      compressor.attack.value = 0.005;
+      compressor.release.value = 0.25;
+      const gain = context.createGain();
+
+      this._graph = {
+        context,
+        source,
+        fade,
+        filters,
+        compressor,
+        gain,
+        nodes: [],
+        chain: null,
+      };
+      // The fade node takes over from the element volume.
+      this._applyVolume(this._getVolume());
+      this._applyAudioEffects();
+      return this._graph;
+    } catch (error) {
+      console.warn("[AudioPlayer] Failed to setup Web Audio graph:", error);
+      return null;
+    }
+  }
+
+  _connectAudioGraph() {
+    const graph = this._graph;
+    if (!graph) return;
+    const { context, source, fade, filters, compressor, gain, nodes } = graph;
+    const chain = [source, fade, ...filters];
+    if (this._options.webAudio && this._options.nightMode) {
+      chain.push(compressor);
+    }
+    chain.push(...nodes, gain, context.destination);
+    const unchanged =
+      graph.chain &&
+      graph.chain.length === chain.length &&
+      chain.every((node, index) => node === graph.chain[index]);
+    if (unchanged) return;
+
+    const previous = graph.chain || [];
+    previous.slice(0, -1).forEach((node) => {
+      try {
+        node.disconnect();
+      } catch {
+        // ignore nodes that were not connected
+      }
+    });
+    for (let i = 0; i < chain.length - 1; i += 1) {
+      chain[i].connect(chain[i + 1]);
+    }
+    graph.chain = chain;
+  }
+
+  _applyAudioEffects() {
+    const graph = this._graph;
+    if (!graph) return;
+    // Once routed through Web Audio the element can't go back, so turning
+    // webAudio off just leaves the graph as a flat pass-through.
+    const { equalizer, webAudio } = this._options;
+    const gains =
+      webAudio && Array.isArray(equalizer)
+        ? equalizer
+        : EQ_PRESETS[webAudio ? equalizer : "flat"];
+    graph.filters.forEach((filter, index) => {
+      filter.gain.value = gains[index] || 0;
+    });
+    graph.gain.gain.value = this._boost;
+    this._connectAudioGraph();
+  }
+
+  _isFadingOut() {
+    return Boolean(this._fade && this._fade.target === 0);
+  }
+
+  _setFadeLevel(level) {
+    this._fadeLevel = level;
+    if (this._graph) {
+      this._graph.fade.gain.value = level;
+      return;
+    }
+    const volume = this._fade ? this._fade.volume : this._getVolume();
+    this._audio.volume = (Math.min(volume, 100) / 100) * level;
+  }
+
+  _fadeTo(target, duration, onDone, from = this._fadeLevel) {
+    const volume = this._getVolume();
+    if (this._fade) clearInterval(this._fade.timer);
+    const fade = {
+      volume,
+      from,
+      target,
+      duration,
+      start: Date.now(),
+      timer: null,
+    };
+    this._fade = fade;
+
+    const step = () => {
+      if (this._fade !== fade) return;
+      const progress =
+        duration > 0 ? Math.min(1, (Date.now() - fade.start) / duration) : 1;
+      this._setFadeLevel(
+        interpolateFade(from, target, progress, this._options.fadeCurve)
+      );
+      if (progress < 1) return;
+      clearInterval(fade.timer);
+      if (onDone) onDone();
+      if (this._fade === fade) this._endFade();
+    };
+    // A timer rather than RAF so fades still finish in background tabs.
+    fade.timer = setInterval(step, 16);
+    step();
+  }
+
+  _endFade() {
+    if (!this._fade) return;
+    clearInterval(this._fade.timer);
+    this._setFadeLevel(1);
+    this._fade = null;
+  }
+
+  _detachForCrossfade() {
+    const ghost = this._audio;
+    const audio = this._createMedia();
+    audio.preload = ghost.preload;
+    if (this._options.crossOrigin) audio.crossOrigin = this._options.crossOrigin;
+
+    // Move every media listener over so the old element plays on unobserved.
+    this._listeners.forEach((entry) => {
+      if (entry.el !== ghost) return;
+      ghost.removeEventListener(entry.event, entry.handler, entry.options);
+      audio.addEventListener(entry.event, entry.handler, entry.options);
+      entry.el = audio;
+    });
+    this._audio = audio;
+    this._render("media");
+
+    let ghostGain = null;
+    const graph = this._graph;
+    if (graph) {
+      ghostGain = graph.context.createGain();
+      ghostGain.gain.value = this._fadeLevel;
+      graph.source.disconnect();
+      graph.source.connect(ghostGain);
+      ghostGain.connect(graph.filters[0]);
+      graph.source = graph.context.createMediaElementSource(audio);
+      graph.chain = null;
+      this._connectAudioGraph();
+    }
+
+    const startLevel = ghostGain ? ghostGain.gain.value : ghost.volume;
+    const start = Date.now();
+    const duration = this._options.crossfade;
+    const curve = this._options.fadeCurve;
+    const entry = {
+      timer: null,
+      finish: () => {
+        clearInterval(entry.timer);
+        ghost.pause();
+        ghost.removeAttribute("src");
+        ghost.load();
+        if (ghostGain) ghostGain.disconnect();
+        this._ghosts = this._ghosts.filter((item) => item !== entry);
+      },
+    };
+    entry.timer = setInterval(() => {
+      const progress = Math.min(1, (Date.now() - start) / duration);
+      const level = interpolateFade(startLevel, 0, progress, curve);
+      if (ghostGain) ghostGain.gain.value = level;
+      else ghost.volume = level;
+      if (progress >= 1) entry.finish();
+    }, 16);
+    this._ghosts.push(entry);
+    this._endFade();
+  }
+
+  _setBuffering(buffering) {
+    if (buffering === this._buffering) return;
+    this._buffering = buffering;
+    this._render("buffer");
+    this._updateMediaSessionPlaybackState();
+    this._updateMediaSessionPositionState();
+    this.emit("buffering", {
+      buffering,
+      buffered: this._audio.buffered,
+      ranges: this.getBufferedRanges(),
+    });
+  }
+
+  _updatePlayState() {
+    this._render("playstate");
+    this._updateMediaSessionPlaybackState();
+    this._updateMediaSessionPositionState();
+  }
+
+  _syncProgress(currentTime) {
+    const current = Number.isFinite(currentTime)
+      ? currentTime
+      : this._audio.currentTime;
+    this._render("time");
+    this._updateLive();
+    this._updateActiveChapter(current);
+    this._updateActiveCues(current);
+  }
+
+  _getSeekableRange() {
+    const { seekable } = this._audio;
+    if (!seekable || !seekable.length) return null;
+    const start = seekable.start(0);
+    const end = seekable.end(seekable.length - 1);
+    return end > start ? [start, end] : null;
+  }
+
+  _updateLive() {
+    const state = this.getLiveState();
+    const live = Boolean(state);
+    const dvr = Boolean(state && state.dvr);
+    const changed = live !== this._live.live || dvr !== this._live.dvr;
+    if (changed) {
+      this._live = { live, dvr };
+      if (live) {
+        // Decoding a stream that never ends would download forever.
+        this._cancelWaveform();
+        this._cancelSilence();
+      }
+      this._updateMediaSessionPositionState();
+      this.emit("livechange", { live, dvr });
+    }
+    // The live edge moves on every tick, so live UI is re-rendered too.
+    if (live || changed) this._render("live");
+  }
+
+  _handleTimeUpdate() {
+    this._trackListening(this._audio.currentTime);
+    // Fallback for background tabs (and Node) where RAF is paused.
+    this._checkClip(this._audio.currentTime);
+    this._checkSilence(this._audio.currentTime);
+    this._checkLoop(this._audio.currentTime);
+    this._syncProgress();
+
+    const now = Date.now();
+    if (now - this._lastTimeEmit < 200) return;
+    this._lastTimeEmit = now;
+
+    const current = this._audio.currentTime;
+    const duration = this._audio.duration;
+    this.emit("timeupdate", { currentTime: current, duration });
+    this._updateMediaSessionPositionState();
+
+    if (now - this._lastPositionSave >= POSITION_SAVE_INTERVAL) {
+      this._savePosition();
+    }
+  }
+
+  _trackListening(time) {
+    const session = this._listening;
+    const last = session.lastTime;
+    session.lastTime = time;
+    if (last === null || !Number.isFinite(time)) return;
+    const step = time - last;
+    if (step <= 0 || step > MAX_LISTEN_STEP * this._audio.playbackRate) {
+      return;
+    }
+
+    session.listened += step;
+    const rate = String(this._audio.playbackRate);
+    session.rates[rate] = (session.rates[rate] || 0) + step;
+    session.ranges = addRange(session.ranges, last, time);
+    this._checkMilestones();
+  }
+
+  _checkMilestones() {
+    const duration = this._audio.duration;
+    if (!Number.isFinite(duration) || duration <= 0) return;
+    const session = this._listening;
+    const coverage = sumRanges(session.ranges);
+    this._options.milestones.forEach((percent) => {
+      if (session.milestones.includes(percent)) return;
+      if ((coverage / duration) * 100 < percent) return;
+      session.milestones.push(percent);
+      this.emit("progressmilestone", {
+        percent,
+        src: session.src,
+        coverage,
+        duration,
+      });
+    });
+  }
+
+  // Queues a summary of the current session (if anything was heard) and
+  // starts a new one for `src`.
+  _endListeningSession(src = this._options.src) {
+    if (this._listening.listened > 0 && this._options.analyticsReporter) {
+      this._analyticsQueue.push(this.getListeningSummary());
+      if (this._analyticsQueue.length >= this._options.analyticsBatchSize) {
+        this.flushAnalytics();
+      }
+    }
+    this._listening = createListeningSession(src);
+  }
+
+  _loadBookmarks() {
+    const src = this._bookmarkSrc;
+    const stored = src
+      ? this._readStorage(
+          this._getStorageKey("bookmarks", src),
+          this._bookmarkStorage
+        )
+      : null;
+    this._bookmarks = normalizeBookmarks(stored);
+    this._render("bookmarks");
+  }
+
+  _commitBookmarks(action, bookmark) {
+    const src = this._bookmarkSrc;
+    const key = this._getStorageKey("bookmarks", src);
+    if (this._bookmarks.length) {
+      this._writeStorage(key, this._bookmarks, this._bookmarkStorage);
+    } else {
+      this._removeStorage(key, this._bookmarkStorage);
+    }
+    this._render("bookmarks");
+    this.emit("bookmarkchange", {
+      action,
+      bookmark: bookmark ? { ...bookmark } : null,
+      bookmarks: this.getBookmarks(),
+      src,
+    });
+  }
+
+  _getStorageKey(type, src) {
+    const prefix = this._options.persistKey;
+    return src ? `${prefix}:${type}:${src}` : `${prefix}:${type}`;
+  }
+
+  _readStorage(key, storage = this._storage) {
+    try {
+      const raw = storage.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  _writeStorage(key, value, storage = this._storage) {
+    try {
+      storage.setItem(key, JSON.stringify(value));
+    } catch {
+      // Quota or serialization errors should never break playback.
+    }
+  }
+
+  _removeStorage(key, storage = this._storage) {
+    try {
+      if (typeof storage.removeItem === "function") {
+        storage.removeItem(key);
+      }
+    } catch {
+      // ignore storage errors
+    }
+  }
+
+  _savePreferences() {
+    if (!this._options.persist || !this._audio) return;
+    this._writeStorage(this._getStorageKey("prefs"), {
+      volume: this._getVolume(),
+      muted: this._audio.muted,
+      playbackRate: this._audio.playbackRate,
+    });
+  }
+
+  _savePosition() {
+    if (!this._options.persist || !this._audio || this._destroyed) return;
+    // Don't clobber the saved position while the user is still deciding.
+    if (this._resumeTime !== null) return;
+    const src = this._options.src;
+    const duration = this._audio.duration;
+    const time = this._audio.currentTime;
+    if (!src || this._audio.getAttribute("src") !== src) return;
+    if (!Number.isFinite(duration) || duration <= 0 || this.isLive()) return;
+
+    this._lastPositionSave = Date.now();
+    if (
+      time < RESUME_MIN_TIME ||
+      time / duration >= this._options.completionThreshold
+    ) {
+      this.clearSavedPosition(src);
+      return;
+    }
+    this._writeStorage(this._getStorageKey("position", src), {
+      time,
+      duration,
+      updatedAt: Date.now(),
+    });
+  }
+
+  _restorePosition() {
+    if (!this._options.persist) return;
+    const time = this.getSavedPosition();
+    const duration = this._audio.duration;
+    if (
+      time === null ||
+      time < RESUME_MIN_TIME ||
+      !Number.isFinite(duration) ||
+      this.isLive() ||
+      time / duration >= this._options.completionThreshold ||
+      this._audio.currentTime > 0
+    ) {
+      return;
+    }
+    if (this._options.resumePrompt) {
+      this._showResumePrompt(time);
+    } else {
+      this._resumeAt(time);
+    }
+  }
+
+  _resumeAt(time) {
+    this.seek(time);
+    this.emit("resume", { position: time, src: this._options.src });
+  }
+
+  _showResumePrompt(time) {
+    this._resumeTime = time;
+    this._render("resume");
+  }
+
+  _hideResumePrompt() {
+    if (this._resumeTime === null) return;
+    this._resumeTime = null;
+    this._render("resume");
+  }
+
+  _startProgressLoop() {
+    if (this._rafId || typeof requestAnimationFrame !== "function") return;
+    const tick = () => {
+      if (!this._audio || this._audio.paused || this._destroyed) {
+        this._rafId = null;
+        return;
+      }
+      this._checkClip(this._audio.currentTime);
+      this._checkSilence(this._audio.currentTime);
+      this._checkLoop(this._audio.currentTime);
+      this._syncProgress();
+      this._rafId = requestAnimationFrame(tick);
+    };
+    this._rafId = requestAnimationFrame(tick);
+  }
+
+  _stopProgressLoop() {
+    if (this._rafId) {
+      cancelAnimationFrame(this._rafId);
+      this._rafId = null;
+    }
+  }
+
+  _getChapterEnd(index) {
+    const chapter = this._chapters[index];
+    if (!chapter) return null;
+    if (chapter.end !== null) return chapter.end;
+    const next = this._chapters[index + 1];
+    if (next) return next.start;
+    const duration = this._audio.duration;
+    return Number.isFinite(duration) ? duration : null;
+  }
+
+  _findChapterIndex(time) {
+    for (let i = this._chapters.length - 1; i >= 0; i -= 1) {
+      if (this._chapters[i].start <= time) {
+        const end = this._getChapterEnd(i);
+        return end === null || time < end ? i : -1;
+      }
+    }
+    return -1;
+  }
+
+  _updateActiveChapter(time) {
+    const index = this._chapters.length ? this._findChapterIndex(time) : -1;
+    if (index === this._chapterIndex) return;
+    const previousIndex = this._chapterIndex;
+    this._chapterIndex = index;
+
+    const chapter = this._chapters[index];
+    this._render("chapter");
+
+    this.emit("chapterchange", {
+      index,
+      previousIndex,
+      chapter: chapter ? { ...chapter, end: this._getChapterEnd(index) } : null,
+    });
+  }
+
+  _loadCaptions(captions) {
+    this._captions.token += 1;
+    this._setCues([]);
+    if (!captions) return;
+
+    if (Array.isArray(captions)) {
+      this._setCues(
+        captions
+          .filter((cue) => cue && Number.isFinite(cue.start))
+          .map((cue, index) => ({
+            id: String(index + 1),
+            speaker: null,
+            ...cue,
+            end: Number.isFinite(cue.end) ? cue.end : cue.start,
+            text: typeof cue.text === "string" ? cue.text : "",
+          }))
+          .sort((a, b) => a.start - b.start)
+      );
+      return;
+    }
+    if (typeof captions !== "string") return;
+    if (/^\uFEFF?WEBVTT/.test(captions.trimStart())) {
+      this._setCues(parseWebVTT(captions));
+      return;
+    }
+    if (typeof fetch !== "function") return;
+
+    const token = this._captions.token;
+    fetch(captions)
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.text();
+      })
+      .then((text) => {
+        if (this._destroyed || token !== this._captions.token) return;
+        this._setCues(parseWebVTT(text));
+      })
+      .catch((error) => {
+        if (this._destroyed || token !== this._captions.token) return;
+        console.warn("[AudioPlayer] Failed to load captions:", error);
+      });
+  }
+
+  _setCues(cues) {
+    this._captions.cues = cues;
+    this._captions.active = [];
+    this._captions.matches = [];
+    this._render("cues");
+    if (this._captions.query) this.searchTranscript(this._captions.query);
+    if (cues.length) this._updateActiveCues(this._audio.currentTime);
+  }
+
+  _updateActiveCues(time) {
+    const { cues, active } = this._captions;
+    if (!cues.length && !active.length) return;
+    const next = [];
+    cues.forEach((cue, index) => {
+      if (cue.start <= time && time < cue.end) next.push(index);
+    });
+    if (
+      next.length === active.length &&
+      next.every((index, i) => index === active[i])
+    ) {
+      return;
+    }
+    this._captions.active = next;
+    this._render("activecues");
+
+    this.emit("cuechange", {
+      cues: next.map((index) => ({ ...cues[index] })),
+    });
+  }
+
+  _getLoopPayload() {
+    const { a, b, count, iteration } = this._loop;
+    return { a, b, count, iteration };
+  }
+
+  _checkLoop(current) {
+    const loop = this._loop;
+    if (!loop || current < loop.b) return;
+
+    const done = loop.count !== null && loop.iteration >= loop.count;
+    this.emit("loopend", { ...this._getLoopPayload(), done });
+    if (done) {
+      this.clearLoop();
+      return;
+    }
+
+    loop.iteration += 1;
+    this._internalSeek = true;
+    this._audio.currentTime = loop.a;
+    if (this._audio.ended) this.play();
+    this._syncProgress(loop.a);
+    this.emit("loopstart", this._getLoopPayload());
+  }
+
+  _ensureWaveform() {
+    const { peaks, src, controller } = this._waveform;
+    if (src === this._options.src && (peaks || controller)) return;
+    this._loadWaveform();
+  }
+
+  _cancelWaveform() {
+    this._waveform.token += 1;
+    if (this._waveform.controller) {
+      this._waveform.controller.abort();
+      this._waveform.controller = null;
+    }
+  }
+
+  _loadWaveform() {
+    this._cancelWaveform();
+    this._setWaveformData(null);
+    if (!this._options.waveform || !this._options.src || this.isLive()) {
+      this._waveform.src = null;
+      return;
+    }
+
+    const src = this._options.src;
+    const source = this._meta.peaks;
+    this._waveform.src = src;
+
+    if (source && typeof source === "object") {
+      this._setWaveformData(normalizeWaveformPeaks(source));
+      return;
+    }
+    if (typeof fetch !== "function") return;
+
+    const token = this._waveform.token;
+    const controller =
+      typeof AbortController === "function" ? new AbortController() : null;
+    const signal = controller ? controller.signal : undefined;
+    this._waveform.controller = controller;
+
+    const request =
+      typeof source === "string" && source
+        ? fetch(source, { signal })
+            .then((response) => {
+              if (!response.ok) throw new Error(`HTTP ${response.status}`);
+              return response.json();
+            })
+            .then((json) => normalizeWaveformPeaks(json))
+        : this._decodeWaveform(src, signal);
+
+    request
+      .then((data) => {
+        if (this._destroyed || token !== this._waveform.token) return;
+        this._waveform.controller = null;
+        this._setWaveformData(data);
+      })
+      .catch((error) => {
+        if (this._destroyed || token !== this._waveform.token) return;
+        this._waveform.controller = null;
+        console.warn("[AudioPlayer] Failed to load waveform:", error);
+      });
+  }
+
+  _decodeWaveform(src, signal) {
+    return decodeAudioSource(src, signal).then((audioBuffer) =>
+      computeWaveformPeaks(audioBuffer)
+    );
+  }
+
+  _setWaveformData(data) {
+    this._waveform.peaks = data && data.peaks.length ? data.peaks : null;
+    this._waveform.rms = data && data.rms ? data.rms : null;
+    this._render("waveform");
+  }
+
+  _ensureSilence() {
+    const { levels, src, controller } = this._silence;
+    if (src === this._options.src && (levels || controller)) return;
+    this._loadSilence();
+  }
+
+  _cancelSilence() {
+    this._silence.token += 1;
+    if (this._silence.controller) {
+      this._silence.controller.abort();
+      this._silence.controller = null;
+    }
+  }
+
+  _loadSilence() {
+    this._cancelSilence();
+    this._setSilenceLevels(null);
+    const src = this._options.src;
+    if (!this._options.skipSilence || !src || this.isLive()) {
+      this._silence.src = null;
+      return;
+    }
+
+    this._silence.src = src;
+    if (silenceCache.has(src)) {
+      this._setSilenceLevels(silenceCache.get(src));
+      return;
+    }
+    if (typeof fetch !== "function") return;
+
+    const token = this._silence.token;
+    const controller =
+      typeof AbortController === "function" ? new AbortController() : null;
+    this._silence.controller = controller;
+
+    decodeAudioSource(src, controller ? controller.signal : undefined)
+      .then((audioBuffer) => {
+        const levels = computeSilenceLevels(audioBuffer);
+        silenceCache.set(src, levels);
+        if (silenceCache.size > SILENCE_CACHE_SIZE) {
+          silenceCache.delete(silenceCache.keys().next().value);
+        }
+        if (this._destroyed || token !== this._silence.token) return;
+        this._silence.controller = null;
+        this._setSilenceLevels(levels);
+      })
+      .catch((error) => {
+        if (this._destroyed || token !== this._silence.token) return;
+        this._silence.controller = null;
+        console.warn("[AudioPlayer] Failed to analyze silence:", error);
+      });
+  }
+
+  _setSilenceLevels(levels) {
+    this._silence.levels = levels;
+    this._updateSilenceSpans();
+  }
+
+  _updateSilenceSpans() {
+    const { silenceThreshold, silenceMinDuration } = this._options;
+    this._silence.spans = findSilentSpans(
+      this._silence.levels,
+      silenceThreshold,
+      silenceMinDuration
+    );
+    this._render("silence");
+  }
+
+  // Like native fragment playback, stop once at the clip end; playing on
+  // continues past it.
+  _checkClip(current) {
+    const clip = this._clip;
+    if (!clip || clip.end === null || clip.ended || current < clip.end) return;
+    clip.ended = true;
+    this._audio.pause();
+  }
+
+  _checkSilence(current) {
+    const { spans } = this._silence;
+    if (!this._options.skipSilence || !spans.length || this._audio.paused) {
+      return;
+    }
+    const span = spans.find(
+      ([start, end]) => current >= start && current < end
+    );
+    if (!span) return;
+
+    // Never jump past the end of an active A-B loop.
+    const loop = this._loop;
+    const to =
+      loop && current < loop.b ? Math.min(span[1], loop.b) : span[1];
+    const skipped = to - current;
+    if (skipped < SILENCE_MIN_SKIP) return;
+
+    this._internalSeek = true;
+    this._audio.currentTime = to;
+    this._silence.saved += skipped;
+    this._syncProgress(to);
+    this._render("silence");
+    this.emit("silenceskipped", {
+      from: current,
+      to,
+      skipped,
+      timeSaved: this._silence.saved,
+      src: this._options.src,
+    });
+  }
+}
+
+export default AudioController;
@@ -0,0 +1,126 @@
+import AudioPlayer, {
+  DEFAULT_OPTIONS,
+  EVENTS,
+  parseOptionAttribute,
+  toAttributeName,
+} from "./audio-player.js";
+
+const OPTION_ATTRIBUTES = new Map(
+  Object.keys(DEFAULT_OPTIONS).map((key) => [toAttributeName(key), key])
+);
+
+// Track metadata is read whenever `src` is (re)loaded. `title` is avoided
+// because the global attribute would show a tooltip over the whole player.
+const META_ATTRIBUTES = {
+  "track-title": "title",
+  filename: "filename",
+  artist: "artist",
+  album: "album",
+  artwork: "artwork",
+  captions: "captions",
+};
+
+const HOST_STYLES = `
+:host {
+  display: block;
+}
+:host([hidden]) {
+  display: none;
+}
+`;
+
+export class AudioPlayerElement extends HTMLElement {
+  static stylesheet = new URL("./audio-player.css", import.meta.url).href;
+
+  static get observedAttributes() {
+    return [...OPTION_ATTRIBUTES.keys()];
+  }
+
+  constructor() {
+    super();
+    this._player = null;
+
+    const shadow = this.attachShadow({ mode: "open" });
+    const style = document.createElement("style");
+    style.textContent = HOST_STYLES;
+    const link = document.createElement("link");
+    link.rel = "stylesheet";
+    link.href = this.constructor.stylesheet;
+    this._container = document.createElement("div");
+    shadow.append(style, link, this._container);
+  }
+
+  get player() {
+    return this._player;
+  }
+
+  connectedCallback() {
+    if (this._player) return;
+    const options = this._readOptions();
+    const events = {};
+    EVENTS.forEach((name) => {
+      events[name] = (payload) => {
+        // before* events stay vetoable through the DOM event.
+        const cancelable = typeof payload?.preventDefault === "function";
+        const allowed = this.dispatchEvent(
+          new CustomEvent(name, {
+            detail: payload,
+            bubbles: true,
+            composed: true,
+            cancelable,
+          })
+        );
+        if (!allowed && cancelable) payload.preventDefault();
+      };
+    });
+    const { src, ...rest } = options;
+    this._player = new AudioPlayer(this._container, { ...rest, events });
+    if (src) this._player.load(src, this._readMeta());
+  }
+
+  disconnectedCallback() {
+    if (!this._player) return;
+    this._player.destroy();
+    this._player = null;
+  }
+
+  attributeChangedCallback(name, oldValue, value) {
+    if (!this._player || oldValue === value) return;
+    const key = OPTION_ATTRIBUTES.get(name);
+    if (!key) return;
+    const parsed = parseOptionAttribute(key, value);
+    if (key === "src") {
+      if (parsed) this._player.load(parsed, this._readMeta());
+      return;
+    }
+    this._player.setOptions({ [key]: parsed });
+  }
+
+  _readOptions() {
+    const options = {};
+    OPTION_ATTRIBUTES.forEach((key, name) => {
+      if (!this.hasAttribute(name)) return;
+      options[key] = parseOptionAttribute(key, this.getAttribute(name));
+    });
+    return options;
+  }
+
+  _readMeta() {
+    const meta = {};
+    Object.entries(META_ATTRIBUTES).forEach(([name, key]) => {
+      if (!this.hasAttribute(name)) return;
+      const value = this.getAttribute(name);
+      meta[key] = key === "artwork" ? [{ src: value }] : value;
+    });
+    return meta;
+  }
+}
+
+if (
+  typeof customElements !== "undefined" &&
+  !customElements.get("audio-player")
+) {
+  customElements.define("audio-player", AudioPlayerElement);
+}
+
+export default AudioPlayerElement;
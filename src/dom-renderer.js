@@ -0,0 +1,1780 @@
+import { DEFAULT_OPTIONS, normalizeKey } from "./audio-controller.js";
+
+export const MESSAGES = {
+  en: {
+    player: "Audio player",
+    play: "Play",
+    pause: "Pause",
+    previousTrack: "Previous track",
+    nextTrack: "Next track",
+    rewind: "Rewind {seconds} seconds",
+    forward: "Forward {seconds} seconds",
+    previousChapter: "Previous chapter",
+    nextChapter: "Next chapter",
+    loop: "A-B loop",
+    loopStart: "Set loop start",
+    loopEnd: "Set loop end",
+    loopClear: "Clear loop",
+    playbackSpeed: "Playback speed",
+    speed: "Speed",
+    playbackRate: "Playback rate",
+    mute: "Mute",
+    unmute: "Unmute",
+    volume: "Volume",
+    download: "Download audio",
+    cancelDownload: "Cancel download",
+    retry: "Retry",
+    timeSaved: "{time} of silence skipped",
+    live: "Live",
+    goLive: "Jump to live",
+    share: "Copy link at current time",
+    linkCopied: "Link copied",
+    bookmarks: "Bookmarks",
+    addBookmark: "Add bookmark",
+    removeBookmark: "Remove bookmark",
+    jumpToBookmark: "Jump to {time}",
+    bookmarkNote: "Note",
+    bookmarkNotePlaceholder: "Add a note…",
+    "error.MEDIA_ERR_ABORTED": "Loading was interrupted.",
+    "error.MEDIA_ERR_NETWORK":
+      "The audio could not be loaded. Check your connection.",
+    "error.MEDIA_ERR_DECODE": "The audio file is damaged or cannot be decoded.",
+    "error.MEDIA_ERR_SRC_NOT_SUPPORTED": "This audio format is not supported.",
+    "error.MEDIA_ERR_UNKNOWN": "Something went wrong while playing this audio.",
+    seek: "Seek",
+    transcript: "Transcript",
+    searchTranscript: "Search transcript",
+    searchResults: "{count} matches",
+    shortcuts: "Keyboard shortcuts",
+    close: "Close",
+    resumePrompt: "Resume from {time}?",
+    resume: "Resume",
+    startOver: "Start over",
+    "shortcut.toggle": "Play / pause",
+    "shortcut.seekBackward": "Rewind",
+    "shortcut.seekForward": "Forward",
+    "shortcut.mute": "Mute / unmute",
+    "shortcut.volumeUp": "Volume up",
+    "shortcut.volumeDown": "Volume down",
+    "shortcut.rateDown": "Slower",
+    "shortcut.rateUp": "Faster",
+    "shortcut.seekPercent": "Jump to 0–90%",
+    "shortcut.help": "Show shortcuts",
+    "shortcut.bookmark": "Add bookmark",
+  },
+  vi: {
+    player: "Trình phát âm thanh",
+    play: "Phát",
+    pause: "Tạm dừng",
+    previousTrack: "Bài trước",
+    nextTrack: "Bài tiếp theo",
+    rewind: "Tua lại {seconds} giây",
+    forward: "Tua tới {seconds} giây",
+    previousChapter: "Chương trước",
+    nextChapter: "Chương tiếp theo",
+    loop: "Lặp đoạn A-B",
+    loopStart: "Đặt điểm bắt đầu lặp",
+    loopEnd: "Đặt điểm kết thúc lặp",
+    loopClear: "Xoá đoạn lặp",
+    playbackSpeed: "Tốc độ phát",
+    speed: "Tốc độ",
+    playbackRate: "Tốc độ phát",
+    mute: "Tắt tiếng",
+    unmute: "Bật tiếng",
+    volume: "Âm lượng",
+    download: "Tải âm thanh xuống",
+    cancelDownload: "Huỷ tải xuống",
+    retry: "Thử lại",
+    timeSaved: "Đã bỏ qua {time} im lặng",
+    live: "Trực tiếp",
+    goLive: "Về phát trực tiếp",
+    share: "Sao chép liên kết tại thời điểm hiện tại",
+    linkCopied: "Đã sao chép liên kết",
+    bookmarks: "Dấu trang",
+    addBookmark: "Thêm dấu trang",
+    removeBookmark: "Xoá dấu trang",
+    jumpToBookmark: "Nhảy tới {time}",
+    bookmarkNote: "Ghi chú",
+    bookmarkNotePlaceholder: "Thêm ghi chú…",
+    "error.MEDIA_ERR_ABORTED": "Quá trình tải đã bị gián đoạn.",
+    "error.MEDIA_ERR_NETWORK":
+      "Không tải được âm thanh. Hãy kiểm tra kết nối mạng.",
+    "error.MEDIA_ERR_DECODE": "Tệp âm thanh bị hỏng hoặc không giải mã được.",
+    "error.MEDIA_ERR_SRC_NOT_SUPPORTED":
+      "Định dạng âm thanh này không được hỗ trợ.",
+    "error.MEDIA_ERR_UNKNOWN": "Đã xảy ra lỗi khi phát âm thanh.",
+    seek: "Vị trí phát",
+    transcript: "Lời thoại",
+    searchTranscript: "Tìm trong lời thoại",
+    searchResults: "{count} kết quả",
+    shortcuts: "Phím tắt",
+    close: "Đóng",
+    resumePrompt: "Tiếp tục nghe từ {time}?",
+    resume: "Tiếp tục",
+    startOver: "Nghe từ đầu",
+    "shortcut.toggle": "Phát / tạm dừng",
+    "shortcut.seekBackward": "Tua lại",
+    "shortcut.seekForward": "Tua tới",
+    "shortcut.mute": "Tắt / bật tiếng",
+    "shortcut.volumeUp": "Tăng âm lượng",
+    "shortcut.volumeDown": "Giảm âm lượng",
+    "shortcut.rateDown": "Chậm hơn",
+    "shortcut.rateUp": "Nhanh hơn",
+    "shortcut.seekPercent": "Nhảy tới 0–90%",
+    "shortcut.help": "Hiện phím tắt",
+    "shortcut.bookmark": "Thêm dấu trang",
+  },
+};
+const numberFormats = new Map();
+
+export function formatNumber(value, locale, options = {}) {
+  if (!locale || typeof Intl === "undefined") return String(value);
+  const key = `${locale}|${JSON.stringify(options)}`;
+  if (!numberFormats.has(key)) {
+    try {
+      numberFormats.set(key, new Intl.NumberFormat(locale, options));
+    } catch {
+      numberFormats.set(key, null);
+    }
+  }
+  const format = numberFormats.get(key);
+  return format ? format.format(value) : String(value);
+}
+
+export function formatTime(seconds, locale) {
+  const value = !Number.isFinite(seconds) || seconds < 0 ? 0 : seconds;
+  const mins = Math.floor(value / 60);
+  const secs = Math.floor(value % 60);
+  if (!locale) return `${mins}:${secs.toString().padStart(2, "0")}`;
+  const minText = formatNumber(mins, locale, { useGrouping: false });
+  const secText = formatNumber(secs, locale, {
+    minimumIntegerDigits: 2,
+    useGrouping: false,
+  });
+  return `${minText}:${secText}`;
+}
+
+export function formatRate(rate, locale) {
+  if (!Number.isFinite(rate)) return `${formatNumber(1, locale)}x`;
+  const rounded = Math.round(rate * 100) / 100;
+  const text = locale
+    ? formatNumber(rounded, locale, {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+      })
+    : rounded.toFixed(2);
+  return `${text}x`;
+}
+
+export function formatMessage(template, params = {}, locale) {
+  if (typeof template !== "string") return "";
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === "number"
+      ? formatNumber(value, locale)
+      : String(value);
+  });
+}
+
+function isTextField(el) {
+  if (!el || typeof el.closest !== "function") return false;
+  if (el.isContentEditable) return true;
+  const tag = el.tagName;
+  if (tag === "TEXTAREA" || tag === "SELECT") return true;
+  if (tag !== "INPUT") return false;
+  return !["range", "checkbox", "radio", "button", "submit"].includes(el.type);
+}
+
+// Paints buffered ranges as hard stops on the progress bar track.
+function buildBufferGradient(ranges, duration) {
+  const stops = [];
+  ranges.forEach(([start, end]) => {
+    const from = `${((start / duration) * 100).toFixed(2)}%`;
+    const to = `${((end / duration) * 100).toFixed(2)}%`;
+    stops.push(
+      `var(--ap-border) ${from}`,
+      `var(--ap-buffered) ${from}`,
+      `var(--ap-buffered) ${to}`,
+      `var(--ap-border) ${to}`
+    );
+  });
+  return `linear-gradient(to right, ${[
+    "var(--ap-border) 0%",
+    ...stops,
+    "var(--ap-border) 100%",
+  ].join(", ")})`;
+}
+
+function getEventTarget(event) {
+  // Shadow DOM retargets events to the host; the composed path does not.
+  const path =
+    typeof event.composedPath === "function" ? event.composedPath() : [];
+  return path[0] || event.target;
+}
+
+export function createElement(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (typeof text === "string") el.textContent = text;
+  return el;
+}
+
+export class DomRenderer {
+  constructor(container) {
+    const resolved =
+      typeof container === "string"
+        ? document.querySelector(container)
+        : container;
+    if (!resolved) {
+      throw new Error("AudioPlayer: container not found.");
+    }
+
+    this._container = resolved;
+    this._controller = null;
+    this._options = null;
+    this._listeners = [];
+    this._dom = null;
+    this._media = null;
+    this._resizeObserver = null;
+    this._shareTimer = null;
+    this._shortcutsReturnFocus = null;
+    this._locale = null;
+    this._waveform = {
+      peaks: null,
+      rms: null,
+      colors: null,
+      progressX: -1,
+    };
+  }
+
+  mount(controller) {
+    this._controller = controller;
+    this._options = controller.getOptions();
+    this._buildUI();
+    this._attachMedia();
+    this._bindUI();
+    controller.runPluginHook("ui", this._dom);
+  }
+
+  update(change) {
+    if (!this._dom) return;
+    switch (change) {
+      case "options":
+        this._applyOptions();
+        break;
+      case "playstate":
+        this._updatePlayState();
+        break;
+      case "time":
+        this._renderTime();
+        break;
+      case "duration":
+        this._renderDuration();
+        this._renderBuffer();
+        break;
+      case "rate":
+        this._updateRateUI();
+        break;
+      case "volume":
+        this._updateVolumeUI();
+        break;
+      case "meta":
+        this._updateTitle();
+        this._syncDownloadState();
+        break;
+      case "playlist":
+        this._updatePlaylistUI();
+        break;
+      case "chapters":
+        this._renderChapters();
+        break;
+      case "chapter":
+        this._renderActiveChapter();
+        break;
+      case "loop":
+        this._renderLoop();
+        break;
+      case "cues":
+        this._renderTranscript();
+        this._renderActiveCues();
+        this._renderSearchMatches();
+        break;
+      case "activecues":
+        this._renderActiveCues();
+        break;
+      case "matches":
+        this._renderSearchMatches();
+        break;
+      case "waveform":
+        this._renderWaveform();
+        break;
+      case "resume":
+        this._renderResume();
+        break;
+      case "download":
+        this._renderDownload();
+        break;
+      case "buffer":
+        this._renderBuffer();
+        break;
+      case "error":
+        this._renderError();
+        break;
+      case "silence":
+        this._renderSilence();
+        break;
+      case "live":
+        this._renderLive();
+        break;
+      case "bookmarks":
+        this._renderBookmarks();
+        break;
+      case "media":
+        this._attachMedia();
+        break;
+      default:
+        break;
+    }
+  }
+
+  destroy() {
+    clearTimeout(this._shareTimer);
+    if (this._resizeObserver) {
+      this._resizeObserver.disconnect();
+      this._resizeObserver = null;
+    }
+    this._listeners.forEach(({ el, event, handler, options }) => {
+      el.removeEventListener(event, handler, options);
+    });
+    this._listeners = [];
+    if (this._dom?.root && this._dom.root.parentNode) {
+      this._dom.root.parentNode.removeChild(this._dom.root);
+    }
+    this._dom = null;
+    this._media = null;
+    this._controller = null;
+  }
+
+  _attachMedia() {
+    const media = this._controller.getMedia();
+    // Custom media (e.g. MockMediaElement) is not a DOM node; leave it alone.
+    if (!media || media === this._media || !media.classList) return;
+    media.classList.add("ap-audio");
+    // A crossfade swaps elements; the outgoing one keeps playing detached.
+    if (this._media && this._media.parentNode === this._dom.root) {
+      this._media.replaceWith(media);
+    } else {
+      this._dom.root.appendChild(media);
+    }
+    this._media = media;
+  }
+
+  showShortcuts() {
+    if (!this._dom) return;
+    const { shortcuts, shortcutsClose } = this._dom;
+    if (shortcuts.classList.contains("ap-hidden")) {
+      this._shortcutsReturnFocus = this._getActiveElement();
+    }
+    this._renderShortcuts();
+    shortcuts.classList.remove("ap-hidden");
+    shortcutsClose.focus();
+  }
+
+  hideShortcuts() {
+    if (!this._dom) return;
+    const { shortcuts } = this._dom;
+    if (shortcuts.classList.contains("ap-hidden")) return;
+    const hadFocus = shortcuts.contains(this._getActiveElement());
+    shortcuts.classList.add("ap-hidden");
+    const returnFocus = this._shortcutsReturnFocus;
+    this._shortcutsReturnFocus = null;
+    if (hadFocus && returnFocus && typeof returnFocus.focus === "function") {
+      returnFocus.focus();
+    }
+  }
+
+  _getActiveElement() {
+    const root = this._dom.root.getRootNode();
+    return root.activeElement || document.activeElement;
+  }
+
+  _buildUI() {
+    const root = createElement("div", "ap-player");
+    root.setAttribute("role", "group");
+    root.setAttribute("aria-label", this._getAriaLabel());
+
+    const titleRow = createElement("div", "ap-title-row");
+    const title = createElement("div", "ap-title");
+    const chapterTitle = createElement("div", "ap-chapter ap-hidden");
+    chapterTitle.setAttribute("aria-live", "polite");
+    titleRow.appendChild(title);
+    titleRow.appendChild(chapterTitle);
+
+    const controls = createElement("div", "ap-controls");
+
+    const playBtn = createElement("button", "ap-btn ap-play");
+    playBtn.type = "button";
+    playBtn.setAttribute("aria-label", this._t("play"));
+    playBtn.innerHTML = `
+      <svg viewBox="0 0 24 24" class="ap-icon ap-icon-play" aria-hidden="true" fill="none" stroke="currentColor" stroke-width="1.5">
+        <path stroke-linecap="round" stroke-linejoin="round" d="M5.25 5.653c0-.856.917-1.398 1.667-.986l11.54 6.347a1.125 1.125 0 0 1 0 1.972l-11.54 6.347a1.125 1.125 0 0 1-1.667-.986V5.653Z" />
+      </svg>
+      <svg viewBox="0 0 24 24" class="ap-icon ap-icon-pause" aria-hidden="true" fill="none" stroke="currentColor" stroke-width="1.5">
+        <path stroke-linecap="round" stroke-linejoin="round" d="M15.75 5.25v13.5m-7.5-13.5v13.5" />
+      </svg>
+    `;
+
+    const prevBtn = createElement("button", "ap-btn ap-prev");
+    prevBtn.type = "button";
+    prevBtn.setAttribute("aria-label", this._t("previousTrack"));
+    prevBtn.innerHTML = `
+      <svg viewBox="0 0 24 24" class="ap-icon ap-icon-prev" aria-hidden="true" fill="none" stroke="currentColor" stroke-width="1.5">
+        <path stroke-linecap="round" stroke-linejoin="round" d="M6 6v12M18 6.75v10.5a.75.75 0 0 1-1.15.63l-8.1-5.25a.75.75 0 0 1 0-1.26l8.1-5.25a.75.75 0 0 1 1.15.63Z" />
+      </svg>
+    `;
+
+    const nextBtn = createElement("button", "ap-btn ap-next");
+    nextBtn.type = "button";
+    nextBtn.setAttribute("aria-label", this._t("nextTrack"));
+    nextBtn.innerHTML = `
+      <svg viewBox="0 0 24 24" class="ap-icon ap-icon-next" aria-hidden="true" fill="none" stroke="currentColor" stroke-width="1.5">
+        <path stroke-linecap="round" stroke-linejoin="round" d="M18 6v12M6 6.75v10.5a.75.75 0 0 0 1.15.63l8.1-5.25a.75.75 0 0 0 0-1.26l-8.1-5.25A.75.75 0 0 0 6 6.75Z" />
+      </svg>
+    `;
+
+    const rewindBtn = createElement(
+      "button",
+      "ap-btn ap-rewind"
+    );
+    rewindBtn.type = "button";
+    rewindBtn.setAttribute(
+      "aria-label",
+      this._t("rewind", { seconds: this._options.seekStep })
+    );
+    rewindBtn.innerHTML = `<svg viewBox="0 0 1024 1024" class="ap-icon ap-icon-forward" aria-hidden="true">
+  <path fill="currentColor" d="M511.4 124C290.5 124.3 112 303 112 523.9c0 128 60.2 242 153.8 315.2l-37.5 48c-4.1 5.3-.3 13 6.3 12.9l167-.8c5.2 0 9-4.9 7.7-9.9L369.8 727a8 8 0 0 0-14.1-3L315 776.1c-10.2-8-20-16.7-29.3-26a318.64 318.64 0 0 1-68.6-101.7C200.4 609 192 567.1 192 523.9s8.4-85.1 25.1-124.5c16.1-38.1 39.2-72.3 68.6-101.7 29.4-29.4 63.6-52.5 101.7-68.6C426.9 212.4 468.8 204 512 204s85.1 8.4 124.5 25.1c38.1 16.1 72.3 39.2 101.7 68.6 29.4 29.4 52.5 63.6 68.6 101.7 16.7 39.4 25.1 81.3 25.1 124.5s-8.4 85.1-25.1 124.5a318.64 318.64 0 0 1-68.6 101.7c-7.5 7.5-15.3 14.5-23.4 21.2a7.93 7.93 0 0 0-1.2 11.1l39.4 50.5c2.8 3.5 7.9 4.1 11.4 1.3C854.5 760.8 912 649.1 912 523.9c0-221.1-179.4-400.2-400.6-399.9z"/>
+  <text x="512" y="560"
+        fill="currentColor"
+        font-weight="800"
+        font-size="300"
+        text-anchor="middle"
+        dominant-baseline="middle"
+        data-num="${this._options.seekStep}">
+    <tspan>${this._options.seekStep}</tspan>
+  </text>
+</svg>`;
+
+    const forwardBtn = createElement(
+      "button",
+      "ap-btn ap-forward"
+    );
+    forwardBtn.type = "button";
+    forwardBtn.setAttribute(
+      "aria-label",
+      this._t("forward", { seconds: this._options.seekStep })
+    );
+    forwardBtn.innerHTML = `<svg viewBox="0 0 1024 1024" class="ap-icon ap-icon-forward" aria-hidden="true">
+  <g transform="translate(1024 0) scale(-1 1)">
+    <path fill="currentColor" d="M511.4 124C290.5 124.3 112 303 112 523.9c0 128 60.2 242 153.8 315.2l-37.5 48c-4.1 5.3-.3 13 6.3 12.9l167-.8c5.2 0 9-4.9 7.7-9.9L369.8 727a8 8 0 0 0-14.1-3L315 776.1c-10.2-8-20-16.7-29.3-26a318.64 318.64 0 0 1-68.6-101.7C200.4 609 192 567.1 192 523.9s8.4-85.1 25.1-124.5c16.1-38.1 39.2-72.3 68.6-101.7 29.4-29.4 63.6-52.5 101.7-68.6C426.9 212.4 468.8 204 512 204s85.1 8.4 124.5 25.1c38.1 16.1 72.3 39.2 101.7 68.6 29.4 29.4 52.5 63.6 68.6 101.7 16.7 39.4 25.1 81.3 25.1 124.5s-8.4 85.1-25.1 124.5a318.64 318.64 0 0 1-68.6 101.7c-7.5 7.5-15.3 14.5-23.4 21.2a7.93 7.93 0 0 0-1.2 11.1l39.4 50.5c2.8 3.5 7.9 4.1 11.4 1.3C854.5 760.8 912 649.1 912 523.9c0-221.1-179.4-400.2-400.6-399.9z"/>
+  </g>
+
+  <text x="512" y="560"
+        fill="currentColor"
+        font-weight="800"
+        font-size="300"
+        text-anchor="middle"
+        dominant-baseline="middle"
+        data-num="${this._options.seekStep}">
+    <tspan>${this._options.seekStep}</tspan>
+  </text>
+</svg>`;
+
+    const chapterPrevBtn = createElement(
+      "button",
+      "ap-btn ap-chapter-prev ap-hidden"
+    );
+    chapterPrevBtn.type = "button";
+    chapterPrevBtn.setAttribute("aria-label", this._t("previousChapter"));
+    chapterPrevBtn.innerHTML = `
+      <svg viewBox="0 0 24 24" class="ap-icon ap-icon-chapter-prev" aria-hidden="true" fill="none" stroke="currentColor" stroke-width="1.5">
+        <path stroke-linecap="round" stroke-linejoin="round" d="M4.5 5.25v13.5M19.5 12h-12m0 0 4.5-4.5M7.5 12l4.5 4.5" />
+      </svg>
+    `;
+
+    const chapterNextBtn = createElement(
+      "button",
+      "ap-btn ap-chapter-next ap-hidden"
+    );
+    chapterNextBtn.type = "button";
+    chapterNextBtn.setAttribute("aria-label", this._t("nextChapter"));
+    chapterNextBtn.innerHTML = `
+      <svg viewBox="0 0 24 24" class="ap-icon ap-icon-chapter-next" aria-hidden="true" fill="none" stroke="currentColor" stroke-width="1.5">
+        <path stroke-linecap="round" stroke-linejoin="round" d="M19.5 5.25v13.5M4.5 12h12m0 0L12 7.5m4.5 4.5L12 16.5" />
+      </svg>
+    `;
+
+    const loopWrap = createElement("div", "ap-loop");
+    loopWrap.setAttribute("role", "group");
+    loopWrap.setAttribute("aria-label", this._t("loop"));
+    const loopABtn = createElement("button", "ap-btn ap-loop-a", "A");
+    loopABtn.type = "button";
+    loopABtn.setAttribute("aria-label", this._t("loopStart"));
+    loopABtn.setAttribute("aria-pressed", "false");
+    const loopBBtn = createElement("button", "ap-btn ap-loop-b", "B");
+    loopBBtn.type = "button";
+    loopBBtn.setAttribute("aria-label", this._t("loopEnd"));
+    loopBBtn.setAttribute("aria-pressed", "false");
+    const loopClearBtn = createElement("button", "ap-btn ap-loop-clear");
+    loopClearBtn.type = "button";
+    loopClearBtn.setAttribute("aria-label", this._t("loopClear"));
+    loopClearBtn.innerHTML = `
+      <svg viewBox="0 0 24 24" class="ap-icon ap-icon-close" aria-hidden="true" fill="none" stroke="currentColor" stroke-width="1.5">
+        <path stroke-linecap="round" stroke-linejoin="round" d="M6 18 18 6M6 6l12 12" />
+      </svg>
+    `;
+    loopWrap.appendChild(loopABtn);
+    loopWrap.appendChild(loopBBtn);
+    loopWrap.appendChild(loopClearBtn);
+
+    const rateWrap = createElement("div", "ap-rate");
+    const rateButton = createElement("button", "ap-btn ap-rate-btn");
+    rateButton.type = "button";
+    rateButton.setAttribute("aria-label", this._t("playbackSpeed"));
+    rateButton.setAttribute("aria-haspopup", "dialog");
+    rateButton.setAttribute("aria-expanded", "false");
+    const rateValue = createElement("span", "ap-rate-value", "1x");
+    rateButton.appendChild(rateValue);
+    rateButton.insertAdjacentHTML(
+      "beforeend",
+      `
+        <svg class="ap-icon ap-icon-caret" viewBox="0 0 24 24" aria-hidden="true">
+          <path d="M6 9l6 6 6-6z"></path>
+        </svg>
+      `
+    );
+
+    const ratePopover = createElement("div", "ap-rate-popover");
+    ratePopover.setAttribute("role", "dialog");
+    ratePopover.setAttribute("aria-label", this._t("playbackSpeed"));
+    const ratePopoverRow = createElement("div", "ap-rate-popover-row");
+    const ratePopoverLabel = createElement(
+      "span",
+      "ap-rate-popover-label",
+      this._t("speed")
+    );
+    const ratePopoverValue = createElement(
+      "span",
+      "ap-rate-popover-value",
+      "1x"
+    );
+    ratePopoverRow.appendChild(ratePopoverLabel);
+    ratePopoverRow.appendChild(ratePopoverValue);
+    const rateSlider = createElement("input", "ap-rate-slider");
+    rateSlider.type = "range";
+    rateSlider.min = String(this._options.playbackRateMin);
+    rateSlider.max = String(this._options.playbackRateMax);
+    rateSlider.step = "0.1";
+    rateSlider.setAttribute("aria-label", this._t("playbackRate"));
+    ratePopover.appendChild(ratePopoverRow);
+    ratePopover.appendChild(rateSlider);
+
+    rateWrap.appendChild(rateButton);
+    rateWrap.appendChild(ratePopover);
+
+    const volumeWrap = createElement("div", "ap-volume");
+    const muteBtn = createElement("button", "ap-btn ap-mute");
+    muteBtn.type = "button";
+    muteBtn.setAttribute("aria-label", this._t("mute"));
+    muteBtn.innerHTML = `
+      <svg viewBox="0 0 24 24" class="ap-icon ap-icon-volume" aria-hidden="true" fill="none" stroke="currentColor" stroke-width="1.5">
+        <path stroke-linecap="round" stroke-linejoin="round" d="M19.114 5.636a9 9 0 0 1 0 12.728M16.463 8.288a5.25 5.25 0 0 1 0 7.424M6.75 8.25l4.72-4.72a.75.75 0 0 1 1.28.53v15.88a.75.75 0 0 1-1.28.53l-4.72-4.72H4.51c-.88 0-1.704-.507-1.938-1.354A9.009 9.009 0 0 1 2.25 12c0-.83.112-1.633.322-2.396C2.806 8.756 3.63 8.25 4.51 8.25H6.75Z" />
+      </svg>
+      <svg viewBox="0 0 24 24" class="ap-icon ap-icon-muted" aria-hidden="true" fill="none" stroke="currentColor" stroke-width="1.5">
+        <path stroke-linecap="round" stroke-linejoin="round" d="M17.25 9.75 19.5 12m0 0 2.25 2.25M19.5 12l2.25-2.25M19.5 12l-2.25 2.25m-10.5-6 4.72-4.72a.75.75 0 0 1 1.28.53v15.88a.75.75 0 0 1-1.28.53l-4.72-4.72H4.51c-.88 0-1.704-.507-1.938-1.354A9.009 9.009 0 0 1 2.25 12c0-.83.112-1.633.322-2.396C2.806 8.756 3.63 8.25 4.51 8.25H6.75Z" />
+      </svg>
+    `;
+    const volumeSlider = createElement("input", "ap-volume-slider");
+    volumeSlider.type = "range";
+    volumeSlider.min = "0";
+    volumeSlider.max = "100";
+    volumeSlider.step = "1";
+    volumeSlider.setAttribute("aria-label", this._t("volume"));
+    const volumeValue = createElement("span", "ap-volume-value", "70");
+    volumeWrap.appendChild(muteBtn);
+    volumeWrap.appendChild(volumeSlider);
+    volumeWrap.appendChild(volumeValue);
+
+    const shareBtn = createElement("button", "ap-btn ap-share ap-hidden");
+    shareBtn.type = "button";
+    shareBtn.setAttribute("aria-label", this._t("share"));
+    shareBtn.innerHTML = `
+      <svg viewBox="0 0 24 24" class="ap-icon ap-icon-share" aria-hidden="true" fill="none" stroke="currentColor" stroke-width="1.5">
+        <path stroke-linecap="round" stroke-linejoin="round" d="M13.19 8.688a4.5 4.5 0 0 1 1.242 7.244l-4.5 4.5a4.5 4.5 0 0 1-6.364-6.364l1.757-1.757m13.35-.622 1.757-1.757a4.5 4.5 0 0 0-6.364-6.364l-4.5 4.5a4.5 4.5 0 0 0 1.242 7.244" />
+      </svg>
+    `;
+
+    const downloadBtn = createElement("button", "ap-btn ap-download");
+    downloadBtn.type = "button";
+    downloadBtn.setAttribute("aria-label", this._t("download"));
+    downloadBtn.innerHTML = `
+      <svg viewBox="0 0 24 24" class="ap-icon ap-icon-download" aria-hidden="true" fill="none" stroke="currentColor" stroke-width="1.5">
+        <path stroke-linecap="round" stroke-linejoin="round" d="M3 16.5v2.25A2.25 2.25 0 0 0 5.25 21h13.5A2.25 2.25 0 0 0 21 18.75V16.5M16.5 12 12 16.5m0 0L7.5 12m4.5 4.5V3" />
+      </svg>
+    `;
+
+    controls.appendChild(prevBtn);
+    controls.appendChild(playBtn);
+    controls.appendChild(nextBtn);
+    controls.appendChild(rewindBtn);
+    controls.appendChild(forwardBtn);
+    controls.appendChild(chapterPrevBtn);
+    controls.appendChild(chapterNextBtn);
+    controls.appendChild(loopWrap);
+    controls.appendChild(rateWrap);
+    controls.appendChild(volumeWrap);
+    controls.appendChild(shareBtn);
+    controls.appendChild(downloadBtn);
+
+    const progressWrap = createElement("div", "ap-progress");
+    const timeRow = createElement("div", "ap-time");
+    const currentTime = createElement("span", "ap-current", "0:00");
+    const separator = createElement("span", "ap-separator", "/");
+    const duration = createElement("span", "ap-duration", "0:00");
+    const timeSaved = createElement("span", "ap-time-saved ap-hidden");
+    const liveBtn = createElement("button", "ap-btn ap-live-btn ap-hidden");
+    liveBtn.type = "button";
+    liveBtn.setAttribute("aria-label", this._t("goLive"));
+    const liveText = createElement("span", "ap-live-text", this._t("live"));
+    liveBtn.appendChild(liveText);
+    const liveBehind = createElement("span", "ap-live-behind ap-hidden");
+    timeRow.appendChild(currentTime);
+    timeRow.appendChild(separator);
+    timeRow.appendChild(duration);
+    timeRow.appendChild(liveBtn);
+    timeRow.appendChild(liveBehind);
+    timeRow.appendChild(timeSaved);
+
+    const progressRange = createElement("input", "ap-progress-range");
+    progressRange.type = "range";
+    progressRange.min = "0";
+    progressRange.max = "0";
+    progressRange.step = "0.01";
+    progressRange.value = "0";
+    progressRange.setAttribute("aria-label", this._t("seek"));
+
+    const progressTrack = createElement("div", "ap-progress-track");
+    const waveformCanvas = createElement("canvas", "ap-waveform");
+    waveformCanvas.setAttribute("aria-hidden", "true");
+    const chapterMarkers = createElement("div", "ap-chapter-markers");
+    chapterMarkers.setAttribute("aria-hidden", "true");
+    const bookmarkMarkers = createElement("div", "ap-bookmark-markers");
+    bookmarkMarkers.setAttribute("aria-hidden", "true");
+    const loopRegion = createElement("div", "ap-loop-region ap-hidden");
+    loopRegion.setAttribute("aria-hidden", "true");
+    progressTrack.appendChild(waveformCanvas);
+    progressTrack.appendChild(loopRegion);
+    progressTrack.appendChild(chapterMarkers);
+    progressTrack.appendChild(bookmarkMarkers);
+    progressTrack.appendChild(progressRange);
+
+    progressWrap.appendChild(timeRow);
+    progressWrap.appendChild(progressTrack);
+
+    const caption = createElement("div", "ap-caption ap-hidden");
+
+    const transcript = createElement("div", "ap-transcript ap-hidden");
+    const transcriptSearch = createElement("input", "ap-transcript-search");
+    transcriptSearch.type = "search";
+    transcriptSearch.setAttribute("aria-label", this._t("searchTranscript"));
+    transcriptSearch.placeholder = this._t("searchTranscript");
+    const transcriptCount = createElement("span", "ap-transcript-count");
+    transcriptCount.setAttribute("aria-live", "polite");
+    const transcriptSearchRow = createElement("div", "ap-transcript-header");
+    transcriptSearchRow.appendChild(transcriptSearch);
+    transcriptSearchRow.appendChild(transcriptCount);
+    const transcriptList = createElement("ol", "ap-transcript-list");
+    transcriptList.setAttribute("aria-label", this._t("transcript"));
+    transcript.appendChild(transcriptSearchRow);
+    transcript.appendChild(transcriptList);
+
+    const bookmarks = createElement("div", "ap-bookmarks ap-hidden");
+    const bookmarksHeader = createElement("div", "ap-bookmarks-header");
+    const bookmarksTitle = createElement(
+      "span",
+      "ap-bookmarks-title",
+      this._t("bookmarks")
+    );
+    const bookmarkAddBtn = createElement(
+      "button",
+      "ap-btn ap-bookmark-add",
+      this._t("addBookmark")
+    );
+    bookmarkAddBtn.type = "button";
+    bookmarksHeader.appendChild(bookmarksTitle);
+    bookmarksHeader.appendChild(bookmarkAddBtn);
+    const bookmarkList = createElement("ol", "ap-bookmark-list");
+    bookmarkList.setAttribute("aria-label", this._t("bookmarks"));
+    bookmarks.appendChild(bookmarksHeader);
+    bookmarks.appendChild(bookmarkList);
+
+    const resume = createElement("div", "ap-resume ap-hidden");
+    resume.setAttribute("role", "status");
+    const resumeText = createElement("span", "ap-resume-text");
+    const resumeBtn = createElement(
+      "button",
+      "ap-btn ap-resume-btn",
+      this._t("resume")
+    );
+    resumeBtn.type = "button";
+    const startOverBtn = createElement(
+      "button",
+      "ap-btn ap-start-over-btn",
+      this._t("startOver")
+    );
+    startOverBtn.type = "button";
+    resume.appendChild(resumeText);
+    resume.appendChild(resumeBtn);
+    resume.appendChild(startOverBtn);
+
+    const errorBox = createElement("div", "ap-error ap-hidden");
+    errorBox.setAttribute("role", "alert");
+    const errorText = createElement("span", "ap-error-text");
+    const retryBtn = createElement(
+      "button",
+      "ap-btn ap-retry-btn",
+      this._t("retry")
+    );
+    retryBtn.type = "button";
+    errorBox.appendChild(errorText);
+    errorBox.appendChild(retryBtn);
+
+    const shortcuts = createElement("div", "ap-shortcuts ap-hidden");
+    shortcuts.setAttribute("role", "dialog");
+    shortcuts.setAttribute("aria-label", this._t("shortcuts"));
+    const shortcutsHeader = createElement("div", "ap-shortcuts-header");
+    const shortcutsTitle = createElement(
+      "span",
+      "ap-shortcuts-title",
+      this._t("shortcuts")
+    );
+    const shortcutsClose = createElement("button", "ap-btn ap-shortcuts-close");
+    shortcutsClose.type = "button";
+    shortcutsClose.setAttribute("aria-label", this._t("close"));
+    shortcutsClose.innerHTML = `
+      <svg viewBox="0 0 24 24" class="ap-icon ap-icon-close" aria-hidden="true" fill="none" stroke="currentColor" stroke-width="1.5">
+        <path stroke-linecap="round" stroke-linejoin="round" d="M6 18 18 6M6 6l12 12" />
+      </svg>
+    `;
+    shortcutsHeader.appendChild(shortcutsTitle);
+    shortcutsHeader.appendChild(shortcutsClose);
+    const shortcutsList = createElement("dl", "ap-shortcuts-list");
+    shortcuts.appendChild(shortcutsHeader);
+    shortcuts.appendChild(shortcutsList);
+
+    root.appendChild(titleRow);
+    root.appendChild(controls);
+    root.appendChild(progressWrap);
+    root.appendChild(errorBox);
+    root.appendChild(resume);
+    root.appendChild(caption);
+    root.appendChild(transcript);
+    root.appendChild(bookmarks);
+    root.appendChild(shortcuts);
+
+    this._container.appendChild(root);
+
+    this._dom = {
+      titleRow,
+      controls,
+      root,
+      title,
+      chapterTitle,
+      playBtn,
+      prevBtn,
+      nextBtn,
+      rewindBtn,
+      forwardBtn,
+      chapterPrevBtn,
+      chapterNextBtn,
+      loopWrap,
+      loopABtn,
+      loopBBtn,
+      loopClearBtn,
+      rateWrap,
+      rateButton,
+      rateValue,
+      ratePopover,
+      ratePopoverLabel,
+      ratePopoverValue,
+      rateSlider,
+      muteBtn,
+      volumeSlider,
+      volumeValue,
+      shareBtn,
+      downloadBtn,
+      currentTime,
+      duration,
+      timeSaved,
+      liveBtn,
+      liveText,
+      liveBehind,
+      progressRange,
+      progressTrack,
+      waveformCanvas,
+      chapterMarkers,
+      bookmarkMarkers,
+      loopRegion,
+      timeRow,
+      caption,
+      transcript,
+      transcriptSearch,
+      transcriptCount,
+      transcriptList,
+      bookmarks,
+      bookmarksTitle,
+      bookmarkAddBtn,
+      bookmarkList,
+      resume,
+      resumeText,
+      resumeBtn,
+      errorBox,
+      errorText,
+      retryBtn,
+      startOverBtn,
+      shortcuts,
+      shortcutsTitle,
+      shortcutsClose,
+      shortcutsList,
+    };
+  }
+
+  _bindUI() {
+    const { playBtn, rewindBtn, forwardBtn, rateButton, rateSlider } = this._dom;
+    const { muteBtn, volumeSlider, downloadBtn, progressRange } = this._dom;
+    const { prevBtn, nextBtn, chapterPrevBtn, chapterNextBtn } = this._dom;
+
+    const controller = this._controller;
+
+    this._bind(playBtn, "click", () => controller.toggle());
+    this._bind(prevBtn, "click", () => controller.previous());
+    this._bind(nextBtn, "click", () => controller.next());
+    this._bind(chapterPrevBtn, "click", () => controller.previousChapter());
+    this._bind(chapterNextBtn, "click", () => controller.nextChapter());
+    this._bind(this._dom.loopABtn, "click", () => controller.setLoopPoint("a"));
+    this._bind(this._dom.loopBBtn, "click", () => controller.setLoopPoint("b"));
+    this._bind(this._dom.loopClearBtn, "click", () => controller.clearLoop());
+    this._bind(this._dom.transcriptList, "click", (event) => {
+      const item = event.target.closest("[data-cue]");
+      if (!item) return;
+      const index = Number(item.getAttribute("data-cue"));
+      const cue = controller.getCues()[index];
+      if (cue) controller.seek(cue.start);
+    });
+    this._bind(this._dom.bookmarkAddBtn, "click", () =>
+      controller.addBookmark()
+    );
+    this._bind(this._dom.bookmarkList, "click", (event) => {
+      const item = event.target.closest("[data-bookmark]");
+      if (!item) return;
+      const id = item.getAttribute("data-bookmark");
+      if (event.target.closest(".ap-bookmark-remove")) {
+        controller.removeBookmark(id);
+        return;
+      }
+      if (!event.target.closest(".ap-bookmark-time")) return;
+      const bookmark = controller
+        .getBookmarks()
+        .find((candidate) => candidate.id === id);
+      if (bookmark) controller.seek(bookmark.time);
+    });
+    this._bind(this._dom.bookmarkList, "change", (event) => {
+      const item = event.target.closest("[data-bookmark]");
+      if (!item || !event.target.classList.contains("ap-bookmark-note")) return;
+      controller.updateBookmark(item.getAttribute("data-bookmark"), {
+        note: event.target.value,
+      });
+    });
+    this._bind(this._dom.transcriptSearch, "input", (event) =>
+      controller.searchTranscript(event.target.value)
+    );
+    this._bind(this._dom.transcriptSearch, "keydown", (event) => {
+      if (event.key === "Enter") {
+        event.preventDefault();
+        controller.jumpToMatch(event.shiftKey ? -1 : 1);
+      }
+    });
+    this._bind(rewindBtn, "click", () =>
+      controller.seekBy(-this._options.seekStep)
+    );
+    this._bind(forwardBtn, "click", () =>
+      controller.seekBy(this._options.seekStep)
+    );
+    this._bind(rateButton, "click", (event) => {
+      event.stopPropagation();
+      this._toggleRatePopover();
+    });
+    this._bind(rateSlider, "input", (event) => {
+      this._handleRateInput(event.target.value);
+      controller.emitOptionsChange(["playbackRate"]);
+    });
+    this._bind(rateSlider, "keydown", (event) => {
+      if (event.key === "Escape") {
+        this._closeRatePopover();
+      }
+    });
+    this._bind(document, "click", (event) => {
+      if (!this._dom.rateWrap.contains(getEventTarget(event))) {
+        this._closeRatePopover();
+      }
+    });
+    this._bind(document, "keydown", (event) => this._handleShortcut(event));
+    this._bind(this._dom.shortcutsClose, "click", () => this.hideShortcuts());
+    this._bind(this._dom.resumeBtn, "click", () => controller.acceptResume());
+    this._bind(this._dom.retryBtn, "click", () => controller.retry());
+    this._bind(this._dom.liveBtn, "click", () => controller.seekToLive());
+    this._bind(this._dom.shareBtn, "click", () => this._copyShareUrl());
+    this._bind(this._dom.startOverBtn, "click", () =>
+      controller.dismissResume()
+    );
+    this._bind(muteBtn, "click", () => {
+      controller.toggleMute();
+      controller.emitOptionsChange(["muted"]);
+    });
+    this._bind(volumeSlider, "input", (event) => {
+      controller.setVolume(event.target.value);
+      controller.emitOptionsChange(["volume"]);
+    });
+    this._bind(downloadBtn, "click", () => {
+      if (controller.getDownloadState()) controller.cancelDownload();
+      else controller.download();
+    });
+    this._bind(progressRange, "input", (event) =>
+      controller.seek(Number(event.target.value))
+    );
+    this._bind(progressRange, "keydown", (event) =>
+      this._handleSeekKeys(event)
+    );
+
+    if (typeof ResizeObserver === "function") {
+      this._resizeObserver = new ResizeObserver(() => this._resizeWaveform());
+      this._resizeObserver.observe(this._dom.progressTrack);
+    } else if (typeof window !== "undefined") {
+      this._bind(window, "resize", () => this._resizeWaveform());
+    }
+  }
+
+  _bind(el, event, handler, options) {
+    el.addEventListener(event, handler, options);
+    this._listeners.push({ el, event, handler, options });
+  }
+
+  _applyOptions() {
+    const options = this._controller.getOptions();
+    const localeChanged =
+      options.locale !== this._options.locale ||
+      options.messages !== this._options.messages;
+    this._options = options;
+
+    this._updateRateOptions();
+    this._updateRateUI();
+    this._dom.volumeSlider.max = String(
+      options.webAudio ? options.volumeMax : 100
+    );
+    this._updateVolumeUI();
+    this._syncDownloadState();
+    this._applyLocale();
+    if (localeChanged) this._renderTranscript();
+    this._updatePlaylistUI();
+    this._renderLoop();
+    this._updateCaptionVisibility();
+    this._dom.bookmarks.classList.toggle("ap-hidden", !options.bookmarks);
+    this._dom.bookmarkMarkers.classList.toggle("ap-hidden", !options.bookmarks);
+
+    this._dom.root.setAttribute("data-theme", options.theme);
+    this._dom.timeRow.classList.toggle("ap-hidden", !options.showTime);
+    this._dom.shareBtn.classList.toggle("ap-hidden", !options.share);
+    this._dom.root.classList.toggle("ap-waveform-on", options.waveform);
+    if (options.waveform) {
+      this._resizeWaveform();
+    }
+    this._updateTitle();
+  }
+
+  _t(key, params) {
+    const { locale, messages } = this._options;
+    const language = locale.split("-")[0];
+    const template =
+      (messages && messages[key]) ??
+      MESSAGES[locale]?.[key] ??
+      MESSAGES[language]?.[key] ??
+      MESSAGES.en[key] ??
+      key;
+    return formatMessage(template, params, locale);
+  }
+
+  _getAriaLabel() {
+    // A custom prefix wins; the default one follows the active locale.
+    const prefix = this._options.ariaLabelPrefix;
+    return prefix === DEFAULT_OPTIONS.ariaLabelPrefix
+      ? this._t("player")
+      : prefix;
+  }
+
+  _applyLocale() {
+    const dom = this._dom;
+    const { locale } = this._options;
+    const labels = [
+      [dom.prevBtn, "previousTrack"],
+      [dom.nextBtn, "nextTrack"],
+      [dom.chapterPrevBtn, "previousChapter"],
+      [dom.chapterNextBtn, "nextChapter"],
+      [dom.loopWrap, "loop"],
+      [dom.loopABtn, "loopStart"],
+      [dom.loopBBtn, "loopEnd"],
+      [dom.loopClearBtn, "loopClear"],
+      [dom.rateButton, "playbackSpeed"],
+      [dom.ratePopover, "playbackSpeed"],
+      [dom.rateSlider, "playbackRate"],
+      [dom.volumeSlider, "volume"],
+      [dom.downloadBtn, "download"],
+      [dom.shareBtn, this._shareTimer ? "linkCopied" : "share"],
+      [dom.liveBtn, "goLive"],
+      [dom.progressRange, "seek"],
+      [dom.transcriptSearch, "searchTranscript"],
+      [dom.transcriptList, "transcript"],
+      [dom.bookmarkList, "bookmarks"],
+      [dom.shortcuts, "shortcuts"],
+      [dom.shortcutsClose, "close"],
+    ];
+    labels.forEach(([el, key]) => el.setAttribute("aria-label", this._t(key)));
+    this._renderDownload();
+
+    dom.root.setAttribute("aria-label", this._getAriaLabel());
+    dom.root.setAttribute("lang", locale);
+    dom.ratePopoverLabel.textContent = this._t("speed");
+    dom.transcriptSearch.placeholder = this._t("searchTranscript");
+    dom.shortcutsTitle.textContent = this._t("shortcuts");
+    dom.resumeBtn.textContent = this._t("resume");
+    dom.startOverBtn.textContent = this._t("startOver");
+    dom.retryBtn.textContent = this._t("retry");
+    dom.liveText.textContent = this._t("live");
+    dom.bookmarksTitle.textContent = this._t("bookmarks");
+    dom.bookmarkAddBtn.textContent = this._t("addBookmark");
+    this._renderBookmarks();
+    this._renderResume();
+    this._renderError();
+    this._renderSilence();
+    const { duration, currentTime } = this._controller.getState();
+    dom.duration.textContent = formatTime(duration, locale);
+    dom.currentTime.textContent = formatTime(currentTime, locale);
+
+    this._updateSeekLabels();
+    this._updatePlayState();
+    this._renderSearchMatches();
+    if (!dom.shortcuts.classList.contains("ap-hidden")) {
+      this._renderShortcuts();
+    }
+  }
+
+  _updateSeekStepLabels(buttonElement, key) {
+    buttonElement.setAttribute(
+      "aria-label",
+      this._t(key, { seconds: this._options.seekStep })
+    );
+    const tspan = buttonElement.querySelector("tspan");
+    tspan.textContent = this._options.seekStep;
+    tspan.parentElement.setAttribute(
+      "data-num",
+      this._options.seekStep
+    );
+  }
+
+  _updateSeekLabels() {
+    this._updateSeekStepLabels(this._dom.rewindBtn, "rewind");
+    this._updateSeekStepLabels(this._dom.forwardBtn, "forward");
+  }
+
+  _updatePlaylistUI() {
+    const { prevBtn, nextBtn } = this._dom;
+    const hasPlaylist = this._controller.getPlaylist().length > 0;
+    prevBtn.classList.toggle("ap-hidden", !hasPlaylist);
+    nextBtn.classList.toggle("ap-hidden", !hasPlaylist);
+    nextBtn.disabled = !this._controller.hasNext();
+  }
+
+  _updateTitle() {
+    const title = this._controller.getMeta().title || "";
+    this._dom.title.textContent = title;
+    this._dom.title.classList.toggle("ap-hidden", !title);
+  }
+
+  _updateRateOptions() {
+    const { rateSlider } = this._dom;
+    const step = this._options.playbackRateStep;
+    rateSlider.min = String(this._options.playbackRateMin);
+    rateSlider.max = String(this._options.playbackRateMax);
+    rateSlider.step = String(step);
+  }
+
+  _updateRateUI() {
+    const { rateValue, ratePopoverValue, rateSlider } = this._dom;
+    const rate = this._controller.getState().playbackRate;
+    rateValue.textContent = formatRate(rate, this._options.locale);
+    ratePopoverValue.textContent = formatRate(rate, this._options.locale);
+    rateSlider.value = String(rate);
+  }
+
+  _handleRateInput(value) {
+    const raw = Number(value);
+    if (!Number.isFinite(raw)) return;
+    this._controller.setPlaybackRate(raw);
+    this._dom.rateSlider.value = String(raw);
+  }
+
+  _toggleRatePopover() {
+    if (this._dom.rateWrap.classList.contains("ap-open")) {
+      this._closeRatePopover();
+    } else {
+      this._openRatePopover();
+    }
+  }
+
+  _openRatePopover() {
+    this._dom.rateWrap.classList.add("ap-open");
+    this._dom.rateButton.setAttribute("aria-expanded", "true");
+    this._dom.rateSlider.focus();
+  }
+
+  _closeRatePopover() {
+    if (!this._dom.rateWrap.classList.contains("ap-open")) return;
+    this._dom.rateWrap.classList.remove("ap-open");
+    this._dom.rateButton.setAttribute("aria-expanded", "false");
+  }
+
+  _updateVolumeUI() {
+    const { volume, muted } = this._controller.getState();
+    this._dom.volumeSlider.value = String(volume);
+    this._dom.volumeValue.textContent = formatNumber(
+      volume,
+      this._options.locale
+    );
+    this._dom.root.classList.toggle("ap-muted", muted);
+    this._dom.muteBtn.setAttribute(
+      "aria-label",
+      this._t(muted ? "unmute" : "mute")
+    );
+  }
+
+  _updatePlayState() {
+    const isPlaying = !this._controller.getState().paused;
+    this._dom.root.classList.toggle("ap-playing", isPlaying);
+    this._dom.playBtn.setAttribute(
+      "aria-label",
+      this._t(isPlaying ? "pause" : "play")
+    );
+  }
+
+  _handleShortcut(event) {
+    if (!this._options.keyboard || event.defaultPrevented) return;
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+    const target = getEventTarget(event);
+    const { root, shortcuts } = this._dom;
+    const inside = root.contains(target);
+    if (!inside) {
+      if (this._options.keyboardScope !== "page") return;
+      // Keys typed inside another player belong to that player.
+      if (
+        typeof target?.closest === "function" &&
+        target.closest(".ap-player")
+      ) {
+        return;
+      }
+    }
+    if (isTextField(target)) return;
+
+    const key = normalizeKey(event.key);
+    if (key === "Escape" && !shortcuts.classList.contains("ap-hidden")) {
+      event.preventDefault();
+      this.hideShortcuts();
+      return;
+    }
+    // Let focused controls keep their native keyboard behaviour.
+    if ((key === " " || key === "Enter") && target?.tagName === "BUTTON") {
+      return;
+    }
+    if (
+      target?.tagName === "INPUT" &&
+      target.type === "range" &&
+      /^(Arrow|Page|Home|End)/.test(key)
+    ) {
+      return;
+    }
+
+    const keymap = this._controller.getKeymap();
+    const action = Object.keys(keymap).find((name) =>
+      keymap[name].includes(key)
+    );
+    if (!action || (action === "bookmark" && !this._options.bookmarks)) {
+      return;
+    }
+    event.preventDefault();
+    this._runShortcut(action, key);
+  }
+
+  _runShortcut(action, key) {
+    const controller = this._controller;
+    const { seekStep, playbackRateStep } = this._options;
+    const state = controller.getState();
+    switch (action) {
+      case "toggle":
+        controller.toggle();
+        break;
+      case "seekBackward":
+        controller.seekBy(-seekStep);
+        break;
+      case "seekForward":
+        controller.seekBy(seekStep);
+        break;
+      case "mute":
+        controller.toggleMute();
+        controller.emitOptionsChange(["muted"]);
+        break;
+      case "volumeUp":
+      case "volumeDown": {
+        const delta = action === "volumeUp" ? 5 : -5;
+        controller.setVolume(state.volume + delta);
+        controller.emitOptionsChange(["volume"]);
+        break;
+      }
+      case "rateUp":
+      case "rateDown": {
+        const delta =
+          action === "rateUp" ? playbackRateStep : -playbackRateStep;
+        const rate = state.playbackRate + delta;
+        controller.setPlaybackRate(Math.round(rate * 100) / 100);
+        controller.emitOptionsChange(["playbackRate"]);
+        break;
+      }
+      case "seekPercent": {
+        const digit = Number(key);
+        const { duration } = state;
+        if (Number.isInteger(digit) && Number.isFinite(duration)) {
+          controller.seek((duration * digit) / 10);
+        }
+        break;
+      }
+      case "bookmark":
+        controller.addBookmark();
+        break;
+      case "help":
+        if (this._dom.shortcuts.classList.contains("ap-hidden")) {
+          this.showShortcuts();
+        } else {
+          this.hideShortcuts();
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  _renderShortcuts() {
+    const { shortcutsList } = this._dom;
+    const keymap = this._controller.getKeymap();
+    const symbols = {
+      " ": "Space",
+      ArrowUp: "↑",
+      ArrowDown: "↓",
+      ArrowLeft: "←",
+      ArrowRight: "→",
+    };
+    const formatKey = (key) =>
+      symbols[key] || (key.length === 1 ? key.toUpperCase() : key);
+
+    shortcutsList.textContent = "";
+    Object.keys(keymap).forEach((action) => {
+      const keys = keymap[action];
+      if (!keys.length) return;
+      if (action === "bookmark" && !this._options.bookmarks) return;
+      const term = createElement("dt", "ap-shortcut-keys");
+      // Digits read better as a range than as ten separate keys.
+      const isRange = action === "seekPercent" && keys.length > 2;
+      const shown = isRange ? [keys[0], keys[keys.length - 1]] : keys;
+      shown.forEach((key, index) => {
+        if (index) {
+          term.appendChild(document.createTextNode(isRange ? "–" : " / "));
+        }
+        term.appendChild(createElement("kbd", "", formatKey(key)));
+      });
+      const description = createElement(
+        "dd",
+        "ap-shortcut-label",
+        this._t(`shortcut.${action}`)
+      );
+      shortcutsList.appendChild(term);
+      shortcutsList.appendChild(description);
+    });
+  }
+
+  _handleSeekKeys(event) {
+    const controller = this._controller;
+    if (event.key === "ArrowLeft") {
+      event.preventDefault();
+      controller.seekBy(-this._options.seekStep);
+    } else if (event.key === "ArrowRight") {
+      event.preventDefault();
+      controller.seekBy(this._options.seekStep);
+    } else if (event.key === "Home") {
+      event.preventDefault();
+      controller.seek(0);
+    } else if (event.key === "End") {
+      event.preventDefault();
+      controller.seek(controller.getState().duration);
+    }
+  }
+
+  _renderDuration() {
+    const { duration } = this._controller.getState();
+    this._dom.duration.textContent = formatTime(
+      duration,
+      this._options.locale
+    );
+    this._updateSeekRange();
+    this._drawWaveform(true);
+    this._renderChapters();
+    this._renderBookmarks();
+    this._renderLoop();
+  }
+
+  // DVR streams can only be sought inside their seekable window; pure live
+  // streams cannot be sought at all.
+  _updateSeekRange() {
+    const { duration } = this._controller.getState();
+    const live = this._controller.getLiveState();
+    let min = 0;
+    let max = Number.isFinite(duration) ? duration : 0;
+    if (live) {
+      min = live.dvr ? live.start : 0;
+      max = live.dvr ? live.end : 0;
+    }
+    this._dom.progressRange.min = String(min);
+    this._dom.progressRange.max = String(max);
+  }
+
+  _renderLive() {
+    const live = this._controller.getLiveState();
+    const { root, liveBtn, liveBehind, progressRange, rewindBtn, forwardBtn } =
+      this._dom;
+    const seekable = !live || live.dvr;
+    const behind = Boolean(live && !live.atLiveEdge);
+    root.classList.toggle("ap-live", Boolean(live));
+    root.classList.toggle("ap-live-dvr", Boolean(live && live.dvr));
+    root.classList.toggle("ap-behind-live", behind);
+    liveBtn.classList.toggle("ap-hidden", !live);
+    liveBehind.classList.toggle("ap-hidden", !behind);
+    liveBehind.textContent = behind
+      ? `-${formatTime(live.behind, this._options.locale)}`
+      : "";
+    progressRange.disabled = !seekable;
+    rewindBtn.disabled = !seekable;
+    forwardBtn.disabled = !seekable;
+    this._updateSeekRange();
+    this._syncDownloadState();
+  }
+
+  _renderTime() {
+    const { currentTime } = this._controller.getState();
+    this._dom.currentTime.textContent = formatTime(
+      currentTime,
+      this._options.locale
+    );
+    this._dom.progressRange.value = String(currentTime);
+    this._drawWaveform();
+  }
+
+  _renderBuffer() {
+    const { buffering, duration } = this._controller.getState();
+    const { playBtn, progressRange } = this._dom;
+    playBtn.classList.toggle("ap-buffering", buffering);
+    playBtn.toggleAttribute("aria-busy", buffering);
+
+    const ranges = this._controller.getBufferedRanges();
+    if (!ranges.length || !Number.isFinite(duration) || duration <= 0) {
+      progressRange.style.removeProperty("--ap-progress-buffer");
+      return;
+    }
+    progressRange.style.setProperty(
+      "--ap-progress-buffer",
+      buildBufferGradient(ranges, duration)
+    );
+  }
+
+  _renderError() {
+    const error = this._controller.getError();
+    const { root, errorBox, errorText } = this._dom;
+    root.classList.toggle("ap-has-error", Boolean(error));
+    errorBox.classList.toggle("ap-hidden", !error);
+    errorText.textContent = error ? this._t(`error.${error.codeName}`) : "";
+  }
+
+  _renderSilence() {
+    const saved = this._controller.getTimeSaved();
+    const { timeSaved } = this._dom;
+    const visible = this._options.skipSilence && saved > 0;
+    timeSaved.classList.toggle("ap-hidden", !visible);
+    timeSaved.textContent = visible
+      ? this._t("timeSaved", {
+          time: formatTime(saved, this._options.locale),
+        })
+      : "";
+  }
+
+  _renderResume() {
+    const time = this._controller.getResumePosition();
+    const { resume, resumeText } = this._dom;
+    if (time !== null) {
+      resumeText.textContent = this._t("resumePrompt", {
+        time: formatTime(time, this._options.locale),
+      });
+    }
+    resume.classList.toggle("ap-hidden", time === null);
+  }
+
+  _renderChapters() {
+    const { chapterMarkers, chapterPrevBtn, chapterNextBtn } = this._dom;
+    const controller = this._controller;
+    const chapters = controller.getChapters();
+    const current = controller.getCurrentChapter();
+    const hasChapters = chapters.length > 0;
+    chapterPrevBtn.classList.toggle("ap-hidden", !hasChapters);
+    chapterNextBtn.classList.toggle("ap-hidden", !hasChapters);
+    chapterMarkers.textContent = "";
+
+    const { duration } = controller.getState();
+    if (!hasChapters || !Number.isFinite(duration) || duration <= 0) return;
+    chapters.forEach((chapter, index) => {
+      const marker = createElement("span", "ap-chapter-marker");
+      marker.style.left = `${(chapter.start / duration) * 100}%`;
+      marker.classList.toggle("ap-active", index === current?.index);
+      chapterMarkers.appendChild(marker);
+    });
+  }
+
+  _renderBookmarks() {
+    const { bookmarkMarkers, bookmarkList } = this._dom;
+    const controller = this._controller;
+    const bookmarks = controller.getBookmarks();
+    const { locale } = this._options;
+
+    // The list is rebuilt, so keep focus on the same control of the item
+    // (or the add button once the item is gone).
+    const active = this._getActiveElement();
+    const focused =
+      active && bookmarkList.contains(active)
+        ? {
+            id: active.closest("[data-bookmark]")?.getAttribute(
+              "data-bookmark"
+            ),
+            className: active.className,
+          }
+        : null;
+
+    bookmarkList.textContent = "";
+    bookmarks.forEach((bookmark) => {
+      const item = createElement("li", "ap-bookmark");
+      item.setAttribute("data-bookmark", bookmark.id);
+      const time = formatTime(bookmark.time, locale);
+      const timeBtn = createElement("button", "ap-bookmark-time", time);
+      timeBtn.type = "button";
+      timeBtn.setAttribute("aria-label", this._t("jumpToBookmark", { time }));
+      const note = createElement("input", "ap-bookmark-note");
+      note.type = "text";
+      note.value = bookmark.note;
+      note.placeholder = this._t("bookmarkNotePlaceholder");
+      note.setAttribute("aria-label", this._t("bookmarkNote"));
+      const removeBtn = createElement("button", "ap-btn ap-bookmark-remove");
+      removeBtn.type = "button";
+      removeBtn.setAttribute("aria-label", this._t("removeBookmark"));
+      removeBtn.innerHTML = `
+        <svg viewBox="0 0 24 24" class="ap-icon ap-icon-close" aria-hidden="true" fill="none" stroke="currentColor" stroke-width="1.5">
+          <path stroke-linecap="round" stroke-linejoin="round" d="M6 18 18 6M6 6l12 12" />
+        </svg>
+      `;
+      item.appendChild(timeBtn);
+      item.appendChild(note);
+      item.appendChild(removeBtn);
+      bookmarkList.appendChild(item);
+    });
+    if (focused) {
+      const item = Array.from(bookmarkList.children).find(
+        (child) => child.getAttribute("data-bookmark") === focused.id
+      );
+      const target = item?.getElementsByClassName(focused.className)[0];
+      (target || this._dom.bookmarkAddBtn).focus();
+    }
+
+    bookmarkMarkers.textContent = "";
+    const { duration } = controller.getState();
+    if (!Number.isFinite(duration) || duration <= 0) return;
+    bookmarks.forEach((bookmark) => {
+      const marker = createElement("span", "ap-bookmark-marker");
+      marker.style.left = `${(bookmark.time / duration) * 100}%`;
+      bookmarkMarkers.appendChild(marker);
+    });
+  }
+
+  _renderActiveChapter() {
+    const chapter = this._controller.getCurrentChapter();
+    const index = chapter ? chapter.index : -1;
+    const { chapterTitle, chapterMarkers } = this._dom;
+    chapterTitle.textContent = chapter ? chapter.title : "";
+    chapterTitle.classList.toggle("ap-hidden", !chapter || !chapter.title);
+    Array.from(chapterMarkers.children).forEach((marker, markerIndex) => {
+      marker.classList.toggle("ap-active", markerIndex === index);
+    });
+  }
+
+  _renderActiveCues() {
+    const active = this._controller.getActiveCues();
+    const indices = active.map((cue) => cue.index);
+    this._dom.caption.textContent = active.map((cue) => cue.text).join("\n");
+    this._updateCaptionVisibility();
+
+    Array.from(this._dom.transcriptList.children).forEach((item, index) => {
+      item.classList.toggle("ap-cue-active", indices.includes(index));
+    });
+    if (indices.length) this._scrollTranscriptTo(indices[0]);
+  }
+
+  _scrollTranscriptTo(index) {
+    const { transcriptList } = this._dom;
+    const item = transcriptList.children[index];
+    // Leave the panel alone while the user is hovering it.
+    if (!item || !this._options.transcript || transcriptList.matches(":hover")) {
+      return;
+    }
+    const offset = (transcriptList.clientHeight - item.offsetHeight) / 2;
+    transcriptList.scrollTop = Math.max(0, item.offsetTop - offset);
+  }
+
+  _renderTranscript() {
+    const { transcriptList } = this._dom;
+    const controller = this._controller;
+    const active = controller.getActiveCues().map((cue) => cue.index);
+    const { matches } = controller.getSearchResults();
+    const matched = matches.map((cue) => cue.index);
+    transcriptList.textContent = "";
+    controller.getCues().forEach((cue, index) => {
+      const item = createElement("li", "ap-cue");
+      item.setAttribute("data-cue", String(index));
+      const button = createElement("button", "ap-cue-btn");
+      button.type = "button";
+      const time = createElement(
+        "span",
+        "ap-cue-time",
+        formatTime(cue.start, this._options.locale)
+      );
+      const text = createElement(
+        "span",
+        "ap-cue-text",
+        cue.speaker ? `${cue.speaker}: ${cue.text}` : cue.text
+      );
+      button.appendChild(time);
+      button.appendChild(text);
+      item.appendChild(button);
+      item.classList.toggle("ap-cue-active", active.includes(index));
+      item.classList.toggle("ap-cue-match", matched.includes(index));
+      transcriptList.appendChild(item);
+    });
+  }
+
+  _renderSearchMatches() {
+    const { query, matches } = this._controller.getSearchResults();
+    const indices = matches.map((cue) => cue.index);
+    const { transcriptList, transcriptCount } = this._dom;
+    Array.from(transcriptList.children).forEach((item, index) => {
+      item.classList.toggle("ap-cue-match", indices.includes(index));
+    });
+    transcriptCount.textContent = query
+      ? this._t("searchResults", { count: matches.length })
+      : "";
+  }
+
+  _updateCaptionVisibility() {
+    const hasCues = this._controller.getCues().length > 0;
+    const { caption, transcript } = this._dom;
+    caption.classList.toggle(
+      "ap-hidden",
+      !hasCues || !this._options.showCaptions || !caption.textContent
+    );
+    transcript.classList.toggle(
+      "ap-hidden",
+      !hasCues || !this._options.transcript
+    );
+  }
+
+  _renderLoop() {
+    const { loopWrap, loopABtn, loopBBtn, loopClearBtn, loopRegion } =
+      this._dom;
+    const controller = this._controller;
+    const loop = controller.getLoop();
+    const start = controller.getLoopStart();
+    const hasA = start !== null;
+
+    loopWrap.classList.toggle("ap-hidden", !this._options.loopControls);
+    loopABtn.setAttribute("aria-pressed", String(hasA));
+    loopBBtn.setAttribute("aria-pressed", String(Boolean(loop)));
+    loopBBtn.disabled = !hasA;
+    loopClearBtn.disabled = !hasA;
+    this._dom.root.classList.toggle("ap-looping", Boolean(loop));
+
+    const { duration } = controller.getState();
+    if (start === null || !Number.isFinite(duration) || duration <= 0) {
+      loopRegion.classList.add("ap-hidden");
+      return;
+    }
+    const end = loop ? loop.b : start;
+    loopRegion.style.left = `${(start / duration) * 100}%`;
+    loopRegion.style.width = `${((end - start) / duration) * 100}%`;
+    loopRegion.classList.remove("ap-hidden");
+  }
+
+  _renderWaveform() {
+    const data = this._controller.getWaveform();
+    this._waveform.peaks = data ? data.peaks : null;
+    this._waveform.rms = data ? data.rms : null;
+    this._dom.root.classList.toggle("ap-waveform-ready", Boolean(data));
+    this._drawWaveform(true);
+  }
+
+  _readWaveformColors() {
+    const style =
+      typeof getComputedStyle === "function"
+        ? getComputedStyle(this._dom.root)
+        : null;
+    const read = (name, fallback) =>
+      (style && style.getPropertyValue(name).trim()) || fallback;
+    return {
+      base: read("--ap-waveform", "#c7cdd6"),
+      played: read("--ap-waveform-played", "#2563eb"),
+    };
+  }
+
+  _resizeWaveform() {
+    if (!this._dom || !this._options.waveform) return;
+    const canvas = this._dom.waveformCanvas;
+    const ratio =
+      typeof window !== "undefined" ? window.devicePixelRatio || 1 : 1;
+    const width = Math.round(canvas.clientWidth * ratio);
+    const height = Math.round(canvas.clientHeight * ratio);
+    if (canvas.width !== width) canvas.width = width;
+    if (canvas.height !== height) canvas.height = height;
+    this._waveform.colors = this._readWaveformColors();
+    this._drawWaveform(true);
+  }
+
+  _drawWaveform(force = false) {
+    if (!this._options.waveform) return;
+    const canvas = this._dom.waveformCanvas;
+    const { peaks, rms } = this._waveform;
+    const { width, height } = canvas;
+    const context = width && height ? canvas.getContext("2d") : null;
+    if (!context) return;
+
+    if (!peaks) {
+      context.clearRect(0, 0, width, height);
+      this._waveform.progressX = -1;
+      return;
+    }
+
+    const { duration, currentTime } = this._controller.getState();
+    const progress =
+      Number.isFinite(duration) && duration > 0
+        ? Math.min(1, currentTime / duration)
+        : 0;
+    const progressX = Math.round(progress * width);
+    if (!force && progressX === this._waveform.progressX) return;
+    this._waveform.progressX = progressX;
+
+    const ratio =
+      typeof window !== "undefined" ? window.devicePixelRatio || 1 : 1;
+    const barWidth = 2 * ratio;
+    const step = barWidth + ratio;
+    const count = Math.max(1, Math.floor(width / step));
+    const colors = this._waveform.colors || this._readWaveformColors();
+    const middle = height / 2;
+
+    context.clearRect(0, 0, width, height);
+    for (let i = 0; i < count; i += 1) {
+      const from = Math.floor((i * peaks.length) / count);
+      const to = Math.max(from + 1, Math.floor(((i + 1) * peaks.length) / count));
+      let peak = 0;
+      let level = 0;
+      for (let j = from; j < to; j += 1) {
+        peak = Math.max(peak, peaks[j] || 0);
+        if (rms) level = Math.max(level, rms[j] || 0);
+      }
+
+      const x = i * step;
+      context.fillStyle = x < progressX ? colors.played : colors.base;
+      // Peaks are drawn faded with the RMS body on top when available.
+      const peakHeight = Math.max(ratio, peak * height);
+      context.globalAlpha = rms ? 0.45 : 1;
+      context.fillRect(x, middle - peakHeight / 2, barWidth, peakHeight);
+      if (rms) {
+        const levelHeight = Math.max(ratio, level * height);
+        context.globalAlpha = 1;
+        context.fillRect(x, middle - levelHeight / 2, barWidth, levelHeight);
+      }
+    }
+    context.globalAlpha = 1;
+  }
+
+  _renderDownload() {
+    const state = this._controller.getDownloadState();
+    const { downloadBtn } = this._dom;
+    downloadBtn.classList.toggle("ap-downloading", Boolean(state));
+    downloadBtn.classList.toggle(
+      "ap-download-indeterminate",
+      Boolean(state) && state.progress === null
+    );
+    downloadBtn.style.setProperty(
+      "--ap-download-progress",
+      `${state && state.progress !== null ? state.progress * 100 : 0}%`
+    );
+    downloadBtn.setAttribute(
+      "aria-label",
+      this._t(state ? "cancelDownload" : "download")
+    );
+  }
+
+  _copyShareUrl() {
+    this._controller
+      .copyShareUrl()
+      .then(() => {
+        if (!this._dom) return;
+        const { shareBtn } = this._dom;
+        clearTimeout(this._shareTimer);
+        shareBtn.classList.add("ap-copied");
+        shareBtn.setAttribute("aria-label", this._t("linkCopied"));
+        this._shareTimer = setTimeout(() => {
+          this._shareTimer = null;
+          shareBtn.classList.remove("ap-copied");
+          shareBtn.setAttribute("aria-label", this._t("share"));
+        }, 2000);
+      })
+      .catch((error) => {
+        console.warn("[AudioPlayer] Failed to copy share link:", error);
+      });
+  }
+
+  _syncDownloadState() {
+    const allow = this._controller.canDownload();
+    this._dom.downloadBtn.disabled = !allow;
+    this._dom.downloadBtn.classList.toggle("ap-hidden", !allow);
+  }
+}
+
+export default DomRenderer;
@@ -0,0 +1,216 @@
+function toTimeRanges(ranges) {
+  return {
+    length: ranges.length,
+    start: (index) => ranges[index][0],
+    end: (index) => ranges[index][1],
+  };
+}
+
+// A small stand-in for HTMLMediaElement so AudioController can run without a
+// DOM (unit tests in Node, SSR). Nothing is decoded: metadata "loads" on the
+// next microtask with the configured duration and time only moves when
+// advance() is called. Events are queued like the real element queues them.
+// `unsupportedTypes` lists MIME types canPlayType() answers "" for. Pass
+// `duration: Infinity` for a live stream.
+export class MockMediaElement extends EventTarget {
+  constructor({ duration = 60, unsupportedTypes = [] } = {}) {
+    super();
+    this.mockDuration = duration;
+    this.unsupportedTypes = unsupportedTypes;
+    this.preload = "auto";
+    this.crossOrigin = null;
+    this.error = null;
+    this.readyState = 0;
+    this.paused = true;
+    this.ended = false;
+    this.duration = NaN;
+    this._attributes = new Map();
+    this._buffered = [];
+    this._seekable = null;
+    this._currentTime = 0;
+    this._volume = 1;
+    this._muted = false;
+    this._playbackRate = 1;
+    this._loadToken = 0;
+  }
+
+  get src() {
+    return this.getAttribute("src") || "";
+  }
+
+  set src(value) {
+    this.setAttribute("src", value);
+    this.load();
+  }
+
+  // TimeRanges-like view of what buffer() was last given.
+  get buffered() {
+    return toTimeRanges(this._buffered);
+  }
+
+  // What setSeekable() was last given, else the whole finite duration.
+  get seekable() {
+    if (this._seekable) return toTimeRanges(this._seekable);
+    return toTimeRanges(
+      Number.isFinite(this.duration) ? [[0, this.duration]] : []
+    );
+  }
+
+  get currentTime() {
+    return this._currentTime;
+  }
+
+  set currentTime(value) {
+    const time = Number(value);
+    if (!Number.isFinite(time)) return;
+    const max = Number.isFinite(this.duration) ? this.duration : time;
+    this._currentTime = Math.max(0, Math.min(max, time));
+    if (this._currentTime < max) this.ended = false;
+    this._queue("seeking");
+    this._queue("seeked");
+    this._queue("timeupdate");
+  }
+
+  get volume() {
+    return this._volume;
+  }
+
+  set volume(value) {
+    const volume = Number(value);
+    if (!Number.isFinite(volume) || volume < 0 || volume > 1) {
+      throw new RangeError("The volume provided is outside the range [0, 1].");
+    }
+    if (volume === this._volume) return;
+    this._volume = volume;
+    this._queue("volumechange");
+  }
+
+  get muted() {
+    return this._muted;
+  }
+
+  set muted(value) {
+    const muted = Boolean(value);
+    if (muted === this._muted) return;
+    this._muted = muted;
+    this._queue("volumechange");
+  }
+
+  get playbackRate() {
+    return this._playbackRate;
+  }
+
+  set playbackRate(value) {
+    const rate = Number(value);
+    if (!Number.isFinite(rate) || rate === this._playbackRate) return;
+    this._playbackRate = rate;
+    this._queue("ratechange");
+  }
+
+  getAttribute(name) {
+    return this._attributes.has(name) ? this._attributes.get(name) : null;
+  }
+
+  setAttribute(name, value) {
+    this._attributes.set(name, String(value));
+  }
+
+  removeAttribute(name) {
+    this._attributes.delete(name);
+  }
+
+  hasAttribute(name) {
+    return this._attributes.has(name);
+  }
+
+  load() {
+    this._loadToken += 1;
+    this.paused = true;
+    this.ended = false;
+    this.error = null;
+    this.readyState = 0;
+    this.duration = NaN;
+    this._currentTime = 0;
+    this._buffered = [];
+    this._seekable = null;
+    if (!this.src) return;
+
+    const token = this._loadToken;
+    queueMicrotask(() => {
+      if (token !== this._loadToken) return;
+      this.duration = this.mockDuration;
+      this.readyState = 1;
+      this.dispatchEvent(new Event("loadedmetadata"));
+    });
+  }
+
+  canPlayType(type) {
+    return this.unsupportedTypes.includes(type) ? "" : "maybe";
+  }
+
+  play() {
+    if (!this.src) {
+      const error = new Error("The element has no supported sources.");
+      error.name = "NotSupportedError";
+      return Promise.reject(error);
+    }
+    if (this.ended) {
+      this._currentTime = 0;
+      this.ended = false;
+    }
+    if (this.paused) {
+      this.paused = false;
+      this._queue("play");
+    }
+    return Promise.resolve();
+  }
+
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+    this._queue("pause");
+  }
+
+  fastSeek(time) {
+    this.currentTime = time;
+  }
+
+  // Test helpers below are not part of HTMLMediaElement.
+
+  advance(seconds) {
+    if (this.paused || Number.isNaN(this.duration)) return;
+    const next = this._currentTime + seconds * this._playbackRate;
+    this._currentTime = Math.min(this.duration, next);
+    this.dispatchEvent(new Event("timeupdate"));
+    if (this._currentTime < this.duration) return;
+    this.ended = true;
+    this.paused = true;
+    this.dispatchEvent(new Event("pause"));
+    this.dispatchEvent(new Event("ended"));
+  }
+
+  buffer(ranges) {
+    this._buffered = ranges.map(([start, end]) => [start, end]);
+    this.dispatchEvent(new Event("progress"));
+  }
+
+  setSeekable(ranges) {
+    this._seekable = ranges.map(([start, end]) => [start, end]);
+  }
+
+  fail(code = 4, message = "MEDIA_ERR_SRC_NOT_SUPPORTED") {
+    this._loadToken += 1; // a failed load never reaches loadedmetadata
+    this.error = { code, message };
+    this.dispatchEvent(new Event("error"));
+  }
+
+  flush() {
+    return new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  _queue(type) {
+    queueMicrotask(() => this.dispatchEvent(new Event(type)));
+  }
+}
+
+export default MockMediaElement;
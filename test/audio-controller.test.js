@@ -0,0 +1,232 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import AudioController from "../src/audio-controller.js";
+import MockMediaElement from "../src/mock-media-element.js";
+
+function createController(options = {}, mediaOptions = {}) {
+  const media = new MockMediaElement({ duration: 100, ...mediaOptions });
+  const controller = new AudioController({ media, ...options });
+  return { controller, media };
+}
+
+function record(controller) {
+  const events = [];
+  controller.on("*", (name, payload) => events.push([name, payload]));
+  return events;
+}
+
+test("load() resolves with the loaded duration and src", async () => {
+  const { controller, media } = createController();
+  const events = record(controller);
+
+  const ready = await controller.load("a.mp3");
+
+  assert.deepEqual(ready, { duration: 100, src: "a.mp3" });
+  assert.equal(media.src, "a.mp3");
+  assert.equal(controller.getState().duration, 100);
+  const names = events.map(([name]) => name);
+  assert.ok(names.includes("srcchange"));
+  assert.ok(names.includes("ready"));
+  controller.destroy();
+});
+
+test("load() rejects without a source", async () => {
+  const { controller } = createController();
+  await assert.rejects(controller.load(""), TypeError);
+  controller.destroy();
+});
+
+test("a newer load() supersedes the pending one", async () => {
+  const { controller } = createController();
+  const first = controller.load("a.mp3");
+  const second = controller.load("b.mp3");
+
+  await assert.rejects(first, { name: "AbortError" });
+  assert.deepEqual(await second, { duration: 100, src: "b.mp3" });
+  controller.destroy();
+});
+
+test("play() and pause() drive the media and emit events", async () => {
+  const { controller, media } = createController();
+  await controller.load("a.mp3");
+  const events = record(controller);
+
+  await controller.play();
+  await media.flush();
+  assert.equal(media.paused, false);
+  assert.equal(controller.getState().paused, false);
+
+  controller.pause();
+  await media.flush();
+  assert.equal(media.paused, true);
+  assert.deepEqual(
+    events.map(([name]) => name).filter((name) => /^(play|pause)$/.test(name)),
+    ["play", "pause"]
+  );
+  controller.destroy();
+});
+
+test("timeupdate follows the media clock at most every 200ms", async () => {
+  const { controller, media } = createController();
+  await controller.load("a.mp3");
+  await controller.play();
+  await media.flush();
+  const times = [];
+  controller.on("timeupdate", ({ currentTime }) => times.push(currentTime));
+
+  media.advance(2);
+  media.advance(3);
+  assert.deepEqual(times, [2]);
+
+  await new Promise((resolve) => setTimeout(resolve, 210));
+  media.advance(1);
+  assert.deepEqual(times, [2, 6]);
+  assert.equal(controller.getState().currentTime, 6);
+  controller.destroy();
+});
+
+test("seek() clamps, emits seek and resolves once seeked", async () => {
+  const { controller, media } = createController();
+  await controller.load("a.mp3");
+  const seeks = [];
+  controller.on("seek", (payload) => seeks.push(payload));
+
+  const result = await controller.seek(150);
+
+  assert.deepEqual(result, { from: 0, to: 100 });
+  assert.deepEqual(seeks, [{ from: 0, to: 100 }]);
+  assert.equal(media.currentTime, 100);
+  controller.destroy();
+});
+
+test("seek() before metadata rejects with InvalidStateError", async () => {
+  const { controller } = createController();
+  await assert.rejects(controller.seek(10), { name: "InvalidStateError" });
+  controller.destroy();
+});
+
+test("beforeseek can prevent a seek", async () => {
+  const { controller, media } = createController();
+  await controller.load("a.mp3");
+  controller.on("beforeseek", (event) => event.preventDefault());
+
+  await assert.rejects(controller.seek(30), { name: "AbortError" });
+  assert.equal(media.currentTime, 0);
+  controller.destroy();
+});
+
+test("on(), once() and off() manage listeners", async () => {
+  const { controller } = createController();
+  const calls = [];
+  const remove = controller.on("ready", () => calls.push("on"));
+  controller.once("ready", () => calls.push("once"));
+
+  await controller.load("a.mp3");
+  await controller.load("b.mp3");
+  remove();
+  await controller.load("c.mp3");
+
+  assert.deepEqual(calls, ["on", "once", "on"]);
+  controller.off();
+  controller.destroy();
+});
+
+test("on() silently ignores unknown event names", (t) => {
+  const warn = t.mock.method(console, "warn");
+  const { controller } = createController();
+  const remove = controller.on("no-such-event", () => {});
+
+  assert.equal(typeof remove, "function");
+  assert.equal(warn.mock.callCount(), 0);
+  remove();
+  controller.destroy();
+});
+
+test("on() honours an abort signal", async () => {
+  const { controller } = createController();
+  const abort = new AbortController();
+  let calls = 0;
+  controller.on("ready", () => (calls += 1), { signal: abort.signal });
+
+  abort.abort();
+  await controller.load("a.mp3");
+
+  assert.equal(calls, 0);
+  controller.destroy();
+});
+
+test("waitFor() resolves with the next event payload", async () => {
+  const { controller } = createController();
+  const ready = controller.waitFor("ready");
+  controller.load("a.mp3");
+
+  assert.deepEqual(await ready, { duration: 100, src: "a.mp3" });
+  controller.destroy();
+});
+
+test("destroy() rejects pending waiters and drops listeners", async () => {
+  const { controller, media } = createController();
+  const pending = controller.load("a.mp3");
+  const waiting = controller.waitFor("ended");
+  let calls = 0;
+  controller.on("*", () => (calls += 1));
+
+  controller.destroy();
+
+  await assert.rejects(pending, { name: "AbortError" });
+  await assert.rejects(waiting, { name: "AbortError" });
+  calls = 0;
+  media.dispatchEvent(new Event("play"));
+  assert.equal(calls, 0);
+  assert.equal(media.src, "");
+  await assert.rejects(controller.play(), { name: "AbortError" });
+});
+
+test("optionsChange only lists keys whose value changed", () => {
+  const changes = [];
+  const { controller } = createController({
+    plugins: [
+      {
+        name: "spy",
+        optionsChange: (_, { changedKeys }) => changes.push(changedKeys),
+      },
+    ],
+  });
+
+  controller.resetOptions();
+  controller.setOptions({
+    milestones: [25, 50, 75, 95],
+    keymap: { mute: "p" },
+    equalizer: "flat",
+  });
+  controller.setOptions({ keymap: { mute: ["P"] }, milestones: [10] });
+
+  assert.deepEqual(changes, [["keymap"], ["milestones"]]);
+  controller.destroy();
+});
+
+test("A-B loop jumps are not counted as seeks or buffering", async () => {
+  const { controller, media } = createController();
+  await controller.load("a.mp3");
+  const buffering = [];
+  const loops = [];
+  controller.on("buffering", (payload) => buffering.push(payload));
+  controller.on("loopstart", (payload) => loops.push(payload));
+  controller.setLoop(10, 20);
+  await controller.seek(10);
+  await controller.play();
+  await media.flush();
+  const { seeks } = controller.getListeningSummary();
+  loops.length = 0;
+
+  media.advance(11);
+  await media.flush();
+  media.advance(11);
+  await media.flush();
+
+  assert.equal(loops.length, 2);
+  assert.equal(controller.getListeningSummary().seeks, seeks);
+  assert.deepEqual(buffering, []);
+  controller.destroy();
+});
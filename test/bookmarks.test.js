@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import AudioController, {
+  parseBookmarks,
+  parseWebVTT,
+  serializeBookmarks,
+} from "../src/audio-controller.js";
+import MockMediaElement from "../src/mock-media-element.js";
+
+const bookmarks = [
+  { id: "bm-a", time: 12.3456, note: "Intro\n\n\nrecap <b>", createdAt: 1 },
+  { id: "bm-b", time: 60, note: "", createdAt: 2 },
+];
+
+test("WebVTT export keeps bookmark ids as cue identifiers", () => {
+  const imported = parseBookmarks(serializeBookmarks(bookmarks, "vtt"));
+
+  assert.deepEqual(
+    imported.map(({ id, time, note }) => ({ id, time, note })),
+    [
+      { id: "bm-a", time: 12.346, note: "Intro\nrecap <b>" },
+      { id: "bm-b", time: 60, note: "" },
+    ]
+  );
+});
+
+test("WebVTT cues without an identifier get new bookmark ids", () => {
+  const vtt = "WEBVTT\n\n00:00:05.000 --> 00:00:06.000\nHi\n";
+  const [bookmark] = parseBookmarks(vtt);
+
+  assert.match(bookmark.id, /^bm-/);
+  assert.equal(parseWebVTT(vtt)[0].id, "1");
+});
+
+test("importing a WebVTT export does not duplicate bookmarks", async () => {
+  const media = new MockMediaElement({ duration: 100 });
+  const controller = new AudioController({ media });
+  await controller.load("a.mp3");
+  controller.addBookmark({ time: 12.3456, note: "Intro\n\nrecap" });
+  controller.addBookmark({ time: 40, note: "Outro" });
+
+  controller.importBookmarks(controller.exportBookmarks("vtt"));
+
+  assert.equal(controller.getBookmarks().length, 2);
+  controller.destroy();
+});
+
+test("JSON export round-trips bookmarks unchanged", () => {
+  assert.deepEqual(parseBookmarks(serializeBookmarks(bookmarks)), bookmarks);
+});
+
+test("importing drops duplicates within the imported data", async () => {
+  const media = new MockMediaElement({ duration: 100 });
+  const controller = new AudioController({ media });
+  await controller.load("a.mp3");
+  const cue = "00:00:05.000 --> 00:00:06.000\nHi";
+
+  controller.importBookmarks(`WEBVTT\n\n${cue}\n\n${cue}\n\nbm-x\n${cue}\n`);
+
+  assert.equal(controller.getBookmarks().length, 1);
+  controller.destroy();
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseMediaFragment, parseTimestamp } from "../src/audio-controller.js";
+
+test("parseTimestamp() reads seconds, clock and h/m/s forms", () => {
+  assert.equal(parseTimestamp("90"), 90);
+  assert.equal(parseTimestamp("1:30"), 90);
+  assert.equal(parseTimestamp("1:02:03"), 3723);
+  assert.equal(parseTimestamp("1h2m3s"), 3723);
+  assert.equal(parseTimestamp("npt:90.5"), 90.5);
+  assert.equal(parseTimestamp("abc"), null);
+  assert.equal(parseTimestamp(""), null);
+});
+
+test("parseMediaFragment() splits #t=start,end off the URL", () => {
+  assert.deepEqual(parseMediaFragment("a.mp3#t=10,20"), {
+    src: "a.mp3",
+    start: 10,
+    end: 20,
+  });
+  assert.deepEqual(parseMediaFragment("a.mp3#t=,20"), {
+    src: "a.mp3",
+    start: 0,
+    end: 20,
+  });
+  assert.deepEqual(parseMediaFragment("a.mp3#x=1&t=1:00"), {
+    src: "a.mp3#x=1",
+    start: 60,
+    end: null,
+  });
+});
+
+test("parseMediaFragment() ignores a start that does not parse", () => {
+  ["a.mp3#t=abc", "a.mp3#t=,", "a.mp3#t=", "a.mp3#t=abc,20"].forEach((url) => {
+    const { start, end } = parseMediaFragment(url);
+    assert.equal(start, null, url);
+    assert.equal(end, null, url);
+  });
+});
+
+test("parseMediaFragment() ignores an end that is not after the start", () => {
+  ["a.mp3#t=20,10", "a.mp3#t=20,20", "a.mp3#t=1:00,0:30"].forEach((url) => {
+    assert.deepEqual(
+      parseMediaFragment(url),
+      { src: "a.mp3", start: null, end: null },
+      url
+    );
+  });
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import AudioController from "../src/audio-controller.js";
+import MockMediaElement from "../src/mock-media-element.js";
+
+// 10s at 8kHz, silent from 3s to 6s.
+const SAMPLE_RATE = 8000;
+const samples = new Float32Array(SAMPLE_RATE * 10);
+samples.forEach((_, index) => {
+  const time = index / SAMPLE_RATE;
+  samples[index] = time >= 3 && time < 6 ? 0 : 0.5 * Math.sin(index);
+});
+const audioBuffer = {
+  numberOfChannels: 1,
+  sampleRate: SAMPLE_RATE,
+  length: samples.length,
+  getChannelData: () => samples,
+};
+
+let fetches = 0;
+globalThis.window = Object.assign(new EventTarget(), {
+  OfflineAudioContext: class {
+    decodeAudioData(data, resolve) {
+      resolve(audioBuffer);
+    }
+  },
+});
+globalThis.fetch = () => {
+  fetches += 1;
+  return Promise.resolve({
+    ok: true,
+    arrayBuffer: () => Promise.resolve(new ArrayBuffer(1)),
+  });
+};
+
+test("skipping silence is not counted as a seek or buffering", async () => {
+  const media = new MockMediaElement({ duration: 10 });
+  const controller = new AudioController({ media, skipSilence: true });
+  const skips = [];
+  const buffering = [];
+  controller.on("silenceskipped", (payload) => skips.push(payload));
+  controller.on("buffering", (payload) => buffering.push(payload));
+
+  await controller.load("silence.mp3");
+  await media.flush();
+  assert.equal(controller.getSilentSpans().length, 1);
+  await controller.play();
+  await media.flush();
+  media.advance(3.2);
+  await media.flush();
+
+  assert.equal(skips.length, 1);
+  assert.ok(media.currentTime >= 5.9);
+  assert.ok(controller.getTimeSaved() > 2.5);
+  assert.equal(controller.getListeningSummary().seeks, 0);
+  assert.deepEqual(buffering, []);
+
+  media.advance(1);
+  assert.ok(controller.getListeningSummary().listened < 5);
+  controller.destroy();
+});
+
+test("waveform and silence analysis share one decode", async () => {
+  fetches = 0;
+  const media = new MockMediaElement({ duration: 10 });
+  const controller = new AudioController({
+    media,
+    skipSilence: true,
+    waveform: true,
+  });
+
+  await controller.load("shared.mp3");
+  await media.flush();
+
+  assert.equal(fetches, 1);
+  assert.equal(controller.getSilentSpans().length, 1);
+  assert.ok(controller.getWaveform());
+  controller.destroy();
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import AudioController from "../src/audio-controller.js";
+import MockMediaElement from "../src/mock-media-element.js";
+
+const fetched = [];
+globalThis.window = Object.assign(new EventTarget(), {
+  OfflineAudioContext: class {
+    decodeAudioData(data, resolve, reject) {
+      reject(new Error("not audio"));
+    }
+  },
+});
+globalThis.fetch = (url) => {
+  fetched.push(url);
+  return Promise.resolve({
+    ok: true,
+    arrayBuffer: () => Promise.resolve(new ArrayBuffer(1)),
+  });
+};
+
+test("fallback emits srcchange and redoes per-source work", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const media = new MockMediaElement({ duration: 30 });
+  const controller = new AudioController({
+    media,
+    waveform: true,
+    skipSilence: true,
+  });
+  const changes = [];
+  controller.on("srcchange", ({ src }) => changes.push(src));
+
+  const loaded = controller.load(["x.ogg", "x.mp3"]);
+  media.fail(4);
+
+  assert.deepEqual(await loaded, { duration: 30, src: "x.mp3" });
+  assert.deepEqual(changes, ["x.ogg", "x.mp3"]);
+  assert.deepEqual([...new Set(fetched)], ["x.ogg", "x.mp3"]);
+  controller.destroy();
+});
+
+test("bookmarks keep the requested source key after a fallback", async () => {
+  const storage = new Map();
+  const bookmarkStorage = {
+    getItem: (key) => storage.get(key) ?? null,
+    setItem: (key, value) => storage.set(key, value),
+    removeItem: (key) => storage.delete(key),
+  };
+  const loadWithFallback = async () => {
+    const media = new MockMediaElement({ duration: 30 });
+    const controller = new AudioController({ media, bookmarkStorage });
+    const loaded = controller.load(["x.ogg", "x.mp3"]);
+    media.fail(4);
+    await loaded;
+    return controller;
+  };
+
+  const first = await loadWithFallback();
+  first.addBookmark({ time: 5, note: "Here" });
+  first.destroy();
+  assert.deepEqual([...storage.keys()], ["audio-player:bookmarks:x.ogg"]);
+
+  const second = await loadWithFallback();
+  assert.deepEqual(
+    second.getBookmarks().map(({ time, note }) => ({ time, note })),
+    [{ time: 5, note: "Here" }]
+  );
+  second.destroy();
+});